@@ -1,8 +1,13 @@
 // VoidBeam Core Interactive CLI
 console.log('Starting CLI...');
 
-const { Client, Authenticator } = require('./index');
+const { Client, Authenticator, Installer, AccountStore } = require('./index');
 const readline = require('readline');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ACCOUNT_FILE = path.join(os.homedir(), '.voidbeam', 'accounts.json');
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -19,59 +24,50 @@ async function interactiveLauncher() {
   console.log('🚀 VoidBeam Core Interactive Launcher\n');
   
   try {
-    // Authentication type selection
-    console.log('🔐 Select Authentication Method:');
-    console.log('1. Offline (no account required)');
-    console.log('2. Microsoft Account');
-    console.log('3. Mojang/Yggdrasil Account');
-    
-    const authChoice = await question('Enter choice (1-3) [default: 1]: ') || '1';
-    
-    let auth;
-    
-    switch (authChoice) {
-      case '2':
-        console.log('\n🔧 Setting up Microsoft authentication...');
-        console.log('📋 A browser window will open for Microsoft login');
-        try {
-          auth = await Authenticator.getMicrosoftAuth({ gui: true });
-          console.log(`✅ Microsoft authentication successful for: ${auth.name}`);
-        } catch (error) {
-          console.error('❌ Microsoft authentication failed:', error.message);
-          console.log('💡 Falling back to offline mode...');
-          const username = await question('Enter player name for offline mode: ');
-          auth = await Authenticator.getOfflineAuth(username);
-        }
-        break;
-        
-      case '3':
-        console.log('\n🔧 Setting up Mojang/Yggdrasil authentication...');
-        const email = await question('Enter email/username: ');
-        const password = await question('Enter password: ');
-        try {
-          auth = await Authenticator.getYggdrasilAuth(email, password);
-          console.log(`✅ Yggdrasil authentication successful for: ${auth.name}`);
-        } catch (error) {
-          console.error('❌ Yggdrasil authentication failed:', error.message);
-          console.log('💡 Falling back to offline mode...');
-          const username = await question('Enter player name for offline mode: ');
-          auth = await Authenticator.getOfflineAuth(username);
-        }
-        break;
-        
-      case '1':
-      default:
-        console.log('\n🔧 Setting up offline authentication...');
-        const username = await question('Enter player name: ');
-        auth = await Authenticator.getOfflineAuth(username);
-        console.log(`✅ Created offline profile for: ${auth.name}`);
-        break;
+    // Use a saved account, or sign in and offer to save the account
+    const store = await openAccountStore();
+    let auth = store && await pickSavedAccount(store);
+    if (!auth) {
+      auth = await signIn();
+      await saveAccount(store, auth);
     }
     
     // Get other launch parameters
-    const version = await question('Enter Minecraft version (e.g., 1.20.1): ');
-    const memory = await question('Enter max memory (e.g., 4G) [default: 4G]: ') || '4G';
     const rootPath = await question('Enter game directory [default: ./minecraft]: ') || './minecraft';
+    const { id: version, type: versionType } = await pickVersion(rootPath);
+    const memory = await question('Enter max memory (e.g., 4G) [default: 4G]: ') || '4G';
+    
+    // Mod loader selection
+    console.log('\n🧩 Select Mod Loader:');
+    console.log('1. Vanilla');
+    console.log('2. Fabric');
+    console.log('3. Quilt');
+    
+    const loaderChoice = await question('Enter choice (1-3) [default: 1]: ') || '1';
+    const loader = { '2': 'fabric', '3': 'quilt' }[loaderChoice];
+    let custom;
+    
+    if (loader) {
+      const loaderVersion = await question(`Enter ${loader} loader version [default: latest stable]: `);
+      const installer = new Installer();
+      
+      installer.on('debug', (message) => {
+        console.log(`🔍 ${message}`);
+      });
+      
+      try {
+        console.log(`\n📦 Installing ${loader} loader...`);
+        custom = await installer.installLoader(loader, {
+          root: rootPath,
+          version: version,
+          loader: { version: loaderVersion || undefined }
+        });
+        console.log(`✅ Installed ${loader} loader as: ${custom}`);
+      } catch (error) {
+        console.error(`❌ ${loader} installation failed:`, error.message);
+        console.log('💡 Falling back to vanilla...');
+      }
+    }
     
     console.log('🔧 Configuring launcher...');
     const launcher = new Client();
@@ -89,6 +85,12 @@ async function interactiveLauncher() {
     launcher.on('data', (data) => {
       console.log(`🎮 ${data.trim()}`);
     });
+
+    // Versions with a logging configuration report their output as log events
+    launcher.on('log', (event) => {
+      console.log(`🎮 [${event.level}] ${event.logger}: ${event.message}`);
+      if (event.throwable) console.log(event.throwable);
+    });
     
     launcher.on('close', (code) => {
       console.log(`\n🏁 Minecraft exited with code: ${code}`);
@@ -100,7 +102,8 @@ async function interactiveLauncher() {
       root: rootPath,
       version: {
         number: version,
-        type: "release"
+        type: versionType,
+        custom: custom
       },
       memory: {
         max: memory,
@@ -125,6 +128,225 @@ async function interactiveLauncher() {
   }
 }
 
+async function signIn() {
+  // Authentication type selection
+  console.log('🔐 Select Authentication Method:');
+  console.log('1. Offline (no account required)');
+  console.log('2. Microsoft Account');
+  console.log('3. Mojang/Yggdrasil Account');
+  
+  const authChoice = await question('Enter choice (1-3) [default: 1]: ') || '1';
+  
+  let auth;
+  
+  switch (authChoice) {
+    case '2':
+      console.log('\n🔧 Setting up Microsoft authentication...');
+      console.log('📋 A browser window will open for Microsoft login');
+      try {
+        auth = await Authenticator.getMicrosoftAuth({ gui: true });
+        console.log(`✅ Microsoft authentication successful for: ${auth.name}`);
+      } catch (error) {
+        console.error('❌ Microsoft authentication failed:', error.message);
+        console.log('💡 Falling back to offline mode...');
+        const username = await question('Enter player name for offline mode: ');
+        auth = await Authenticator.getOfflineAuth(username);
+      }
+      break;
+      
+    case '3':
+      console.log('\n🔧 Setting up Mojang/Yggdrasil authentication...');
+      const email = await question('Enter email/username: ');
+      const password = await question('Enter password: ');
+      try {
+        auth = await Authenticator.getYggdrasilAuth(email, password);
+        console.log(`✅ Yggdrasil authentication successful for: ${auth.name}`);
+      } catch (error) {
+        console.error('❌ Yggdrasil authentication failed:', error.message);
+        console.log('💡 Falling back to offline mode...');
+        const username = await question('Enter player name for offline mode: ');
+        auth = await Authenticator.getOfflineAuth(username);
+      }
+      break;
+      
+    case '1':
+    default:
+      console.log('\n🔧 Setting up offline authentication...');
+      const username = await question('Enter player name: ');
+      auth = await Authenticator.getOfflineAuth(username);
+      console.log(`✅ Created offline profile for: ${auth.name}`);
+      break;
+  }
+  
+  return auth;
+}
+
+async function openAccountStore() {
+  if (!fs.existsSync(ACCOUNT_FILE)) return null;
+
+  const passphrase = await question('Enter the passphrase of your saved accounts (leave empty to skip): ');
+  if (!passphrase) return null;
+
+  try {
+    const store = new AccountStore(ACCOUNT_FILE, { passphrase });
+    store.list();
+    return store;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return null;
+  }
+}
+
+async function pickSavedAccount(store) {
+  const accounts = store.list();
+  if (!accounts.length) return null;
+
+  console.log('\n👥 Saved Accounts:');
+  accounts.forEach((account, index) => {
+    console.log(`${index + 1}. ${account.name} (${account.type})`);
+  });
+  console.log(`${accounts.length + 1}. Use another account`);
+
+  const choice = parseInt(await question(`Enter choice (1-${accounts.length + 1}) [default: 1]: `) || '1');
+  const account = accounts[choice - 1];
+  if (!account) return null;
+
+  try {
+    const auth = await store.getAuth(account.id);
+    console.log(`✅ Signed in as: ${auth.name}`);
+    return auth;
+  } catch (error) {
+    console.error(`❌ Couldn't use saved account ${account.name}:`, error.message);
+    return null;
+  }
+}
+
+async function saveAccount(store, auth) {
+  const save = await question('Save this account for next time? (y/N): ');
+  if (save.toLowerCase() !== 'y') return;
+
+  try {
+    if (!store) {
+      // Adding to an existing file checks the passphrase, so a wrong one can't replace it
+      const passphrase = await question(fs.existsSync(ACCOUNT_FILE)
+        ? 'Enter the passphrase of your saved accounts: '
+        : 'Choose a passphrase to encrypt your saved accounts: ');
+      if (!passphrase) return;
+      store = new AccountStore(ACCOUNT_FILE, { passphrase });
+    }
+    store.add(auth);
+    console.log(`💾 Saved ${auth.name} to ${ACCOUNT_FILE}`);
+  } catch (error) {
+    console.error('❌ Couldn\'t save the account:', error.message);
+  }
+}
+
+const PAGE_SIZE = 10;
+
+async function pickVersion(rootPath) {
+  console.log('\n📚 Select Version Type:');
+  console.log('1. Releases');
+  console.log('2. Snapshots');
+  console.log('3. Old beta / alpha');
+  console.log('4. Installed');
+
+  const typeChoice = await question('Enter choice (1-4) [default: 1]: ') || '1';
+  const types = { '2': ['snapshot'], '3': ['old_beta', 'old_alpha'] }[typeChoice] || ['release'];
+
+  let versions;
+  try {
+    const list = await new Client().getVersions({ root: rootPath, type: typeChoice === '4' ? undefined : types });
+    versions = typeChoice === '4'
+      ? list.installed.map(version => ({ ...version, installed: true }))
+      : list.versions;
+    if (typeChoice !== '4') {
+      if (!list.latest) throw new Error('the version manifest is unavailable');
+      console.log(`Latest release: ${list.latest.release}, latest snapshot: ${list.latest.snapshot}`);
+    }
+  } catch (error) {
+    console.log(`⚠️  Couldn't load the version list: ${error.message}`);
+    const id = await question('Enter Minecraft version (e.g., 1.20.1): ');
+    return { id, type: 'release' };
+  }
+
+  let filter = '';
+  let page = 0;
+  for (;;) {
+    const matching = versions.filter(version => version.id.includes(filter));
+    const pages = Math.max(1, Math.ceil(matching.length / PAGE_SIZE));
+    page = Math.min(page, pages - 1);
+
+    console.log(`\n📋 Versions${filter ? ` matching "${filter}"` : ''} (page ${page + 1}/${pages}):`);
+    matching.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).forEach((version, index) => {
+      console.log(`${page * PAGE_SIZE + index + 1}. ${version.id}${version.installed ? ' (installed)' : ''}`);
+    });
+    if (!matching.length) console.log('No versions found');
+
+    const answer = (await question('Number to pick, n/p for next/previous page, or text to filter: ')).trim();
+    if (answer === 'n') {
+      page = Math.min(page + 1, pages - 1);
+    } else if (answer === 'p') {
+      page = Math.max(page - 1, 0);
+    } else if (/^\d+$/.test(answer) && matching[parseInt(answer) - 1]) {
+      const version = matching[parseInt(answer) - 1];
+      return { id: version.id, type: version.type || 'release' };
+    } else if (versions.find(version => version.id === answer)) {
+      const version = versions.find(version => version.id === answer);
+      return { id: version.id, type: version.type || 'release' };
+    } else {
+      filter = answer;
+      page = 0;
+    }
+  }
+}
+
+async function repairInstallation() {
+  const version = getArg('--version') || await question('Enter Minecraft version (e.g., 1.20.1): ');
+  const rootPath = getArg('--root') || './minecraft';
+  const fix = args.includes('--fix');
+  
+  console.log(`🔧 Checking ${version} in ${rootPath}${fix ? ' (fixing)' : ''}...`);
+  const launcher = new Client();
+  
+  launcher.on('debug', (message) => {
+    console.log(`🔍 ${message}`);
+  });
+  
+  try {
+    const report = await launcher.repair({
+      root: rootPath,
+      version: {
+        number: version,
+        custom: getArg('--custom')
+      },
+      fix: fix
+    });
+    
+    console.log(`\n📋 Checked ${report.checked} files for ${report.version}`);
+    report.missing.forEach((entry) => console.log(`❓ Missing ${entry.type}: ${entry.file}`));
+    report.corrupt.forEach((entry) => console.log(`💥 Corrupt ${entry.type}: ${entry.file}`));
+    
+    if (!report.missing.length && !report.corrupt.length) {
+      console.log('✅ Installation is intact');
+    } else if (report.fixed) {
+      console.log('✅ Missing and corrupt files were downloaded again');
+    } else {
+      console.log('💡 Run again with --fix to download them again');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Repair failed:', error.message);
+    process.exitCode = 1;
+  }
+  
+  rl.close();
+}
+
+function getArg(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
 // Handle command line arguments
 const args = process.argv.slice(2);
 
@@ -134,24 +356,39 @@ if (args.includes('--help') || args.includes('-h')) {
 
 Usage:
   node cli.js              Run interactive launcher
+  node cli.js repair       Check an installed version for missing or corrupt files
   node cli.js --help       Show this help message
   node cli.js --version    Show version information
 
+Repair options:
+  --version <number>       Minecraft version to check
+  --custom <id>            Custom (modded) version to check
+  --root <path>            Game directory [default: ./minecraft]
+  --fix                    Download missing and corrupt files again
+
 Examples:
   node cli.js              Launch interactive mode
   npm run cli              Launch via npm script
+  node cli.js repair --version 1.20.1 --fix
 `);
   process.exit(0);
 }
 
-if (args.includes('--version') || args.includes('-v')) {
+if (args[0] !== 'repair' && (args.includes('--version') || args.includes('-v'))) {
   const { version } = require('./package.json');
   console.log(`VoidBeam Core v${version}`);
   process.exit(0);
 }
 
-// Run interactive launcher
-interactiveLauncher().catch((error) => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+if (args[0] === 'repair') {
+  repairInstallation().catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+} else {
+  // Run interactive launcher
+  interactiveLauncher().catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,202 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const authenticator = require('./authenticator')
+const { AuthError } = require('./errors')
+
+const CIPHER = 'aes-256-gcm'
+const KEY_LENGTH = 32
+
+/**
+ * Saves offline, Microsoft and Yggdrasil accounts in a JSON file encrypted with AES-256-GCM.
+ * The key is either given directly or derived from a passphrase with scrypt, using a salt
+ * stored in the file, so the file opens on any OS with the same passphrase.
+ */
+class AccountStore {
+  /**
+   * @param {string} file - Path to the account file, created on the first save
+   * @param {Object} options - Encryption options, one of key or passphrase is required
+   * @param {Buffer} [options.key] - 32 byte key
+   * @param {string} [options.passphrase] - Passphrase to derive the key from
+   */
+  constructor(file, options = {}) {
+    if (!options.key && !options.passphrase) {
+      throw new AuthError('An account store needs a key or a passphrase')
+    }
+    if (options.key && options.key.length !== KEY_LENGTH) {
+      throw new AuthError(`An account store key must be ${KEY_LENGTH} bytes`)
+    }
+
+    this.file = path.resolve(file)
+    this.key = options.key || null
+    this.passphrase = options.passphrase || null
+  }
+
+  /**
+   * Save an account, replacing the saved one with the same type and uuid
+   * @param {Object} user - User returned by the authenticator
+   * @returns {Object} Saved account
+   */
+  add(user) {
+    if (!user || !user.uuid || !user.name || !user.meta || !user.meta.type) {
+      throw new AuthError('Only users returned by the authenticator can be saved')
+    }
+
+    const data = this.read()
+    const id = `${user.meta.type}:${user.uuid}`
+    const existing = data.accounts.find(account => account.id === id)
+    const account = {
+      id,
+      type: user.meta.type,
+      name: user.name,
+      uuid: user.uuid,
+      added: existing ? existing.added : new Date().toISOString(),
+      lastUsed: existing ? existing.lastUsed : null,
+      user
+    }
+
+    data.accounts = data.accounts.filter(saved => saved.id !== id).concat(account)
+    if (!data.selected) data.selected = id
+    this.write(data)
+    return account
+  }
+
+  /**
+   * List the saved accounts
+   * @returns {Array<Object>} Accounts, most recently used first
+   */
+  list() {
+    return this.read().accounts
+      .sort((a, b) => (b.lastUsed || b.added || '').localeCompare(a.lastUsed || a.added || ''))
+  }
+
+  /**
+   * Get a saved account
+   * @param {string} [id] - Account id, uuid or player name, the selected account when omitted
+   * @returns {Object|null} Account
+   */
+  get(id) {
+    const data = this.read()
+    if (!id) id = data.selected
+    if (!id) return null
+
+    return data.accounts.find(account => account.id === id) ||
+      data.accounts.find(account => account.uuid === id) ||
+      data.accounts.find(account => account.name.toLowerCase() === id.toLowerCase()) ||
+      null
+  }
+
+  /**
+   * Remove a saved account
+   * @param {string} id - Account id, uuid or player name
+   * @returns {boolean} Whether an account was removed
+   */
+  remove(id) {
+    const account = this.get(id)
+    if (!account) return false
+
+    const data = this.read()
+    data.accounts = data.accounts.filter(saved => saved.id !== account.id)
+    if (data.selected === account.id) data.selected = data.accounts.length ? data.accounts[0].id : null
+    this.write(data)
+    return true
+  }
+
+  /**
+   * Select the account used when none is named
+   * @param {string} id - Account id, uuid or player name
+   * @returns {Object} Selected account
+   */
+  select(id) {
+    const account = this.get(id)
+    if (!account) throw new AuthError(`Account ${id} not found`)
+
+    const data = this.read()
+    data.selected = account.id
+    this.write(data)
+    return account
+  }
+
+  /**
+   * Get the credentials of an account for a launch. Tokens that no longer validate are
+   * refreshed first and the refreshed user is saved; the account's lastUsed is updated.
+   * @param {string} [id] - Account id, uuid or player name, the selected account when omitted
+   * @returns {Promise<Object>} User to pass as authorization
+   */
+  async getAuth(id) {
+    const account = this.get(id)
+    if (!account) throw new AuthError(id ? `Account ${id} not found` : 'No account selected')
+
+    // Yggdrasil accounts are checked with the server they signed in to
+    let user = account.user
+    const options = { apiUrl: user.meta.apiUrl, refreshToken: user.meta.refresh_token }
+    if (!await authenticator.validate(user.access_token, user.client_token, account.type, options)) {
+      user = await authenticator.refreshAuth(user.access_token, user.client_token, account.type, options)
+      // Refresh responses don't repeat everything the sign-in returned
+      user = { ...user, meta: { ...account.user.meta, ...user.meta } }
+    }
+
+    const data = this.read()
+    const saved = data.accounts.find(saved => saved.id === account.id)
+    saved.user = user
+    saved.name = user.name
+    saved.lastUsed = new Date().toISOString()
+    this.write(data)
+
+    return user
+  }
+
+  /**
+   * Read and decrypt the account file
+   * @returns {Object} Accounts and the selected account id
+   */
+  read() {
+    if (!fs.existsSync(this.file)) return { accounts: [], selected: null }
+
+    const file = JSON.parse(fs.readFileSync(this.file, 'utf-8'))
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, this.getKey(file.salt), Buffer.from(file.iv, 'base64'))
+      decipher.setAuthTag(Buffer.from(file.tag, 'base64'))
+      const json = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()])
+      return JSON.parse(json.toString('utf-8'))
+    } catch (e) {
+      throw new AuthError(`Couldn't decrypt ${this.file}, the key or passphrase is wrong or the file is damaged`, { cause: e })
+    }
+  }
+
+  /**
+   * Encrypt and write the account file, readable by its owner only
+   * @param {Object} data - Accounts and the selected account id
+   */
+  write(data) {
+    const salt = this.salt || crypto.randomBytes(16).toString('base64')
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv(CIPHER, this.getKey(salt), iv)
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf-8'), cipher.final()])
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    fs.writeFileSync(this.file, JSON.stringify({
+      version: 1,
+      salt,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: encrypted.toString('base64')
+    }, null, 2), { mode: 0o600 })
+  }
+
+  /**
+   * Get the encryption key, deriving it from the passphrase once per salt
+   * @param {string} salt - Base64 salt stored in the file
+   * @returns {Buffer} Key
+   */
+  getKey(salt) {
+    if (this.key && !this.passphrase) return this.key
+    if (this.salt !== salt || !this.key) {
+      this.salt = salt
+      this.key = crypto.scryptSync(this.passphrase, Buffer.from(salt, 'base64'), KEY_LENGTH)
+    }
+    return this.key
+  }
+}
+
+module.exports = AccountStore
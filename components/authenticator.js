@@ -1,24 +1,16 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
 const { Auth } = require('msmc');
+const { AuthError } = require('./errors');
 
 /**
  * VoidBeam Core Authenticator - Supports Offline, Microsoft, and Yggdrasil authentication
  */
 
-// Default API URLs
-let API_URLS = {
-  yggdrasil: {
-    authenticate: 'https://authserver.mojang.com/authenticate',
-    refresh: 'https://authserver.mojang.com/refresh',
-    validate: 'https://authserver.mojang.com/validate',
-    invalidate: 'https://authserver.mojang.com/invalidate',
-    signout: 'https://authserver.mojang.com/signout'
-  },
-  microsoft: {
-    // Microsoft URLs are handled by MSMC library
-  }
-};
+const DEFAULT_API_URL = 'https://authserver.mojang.com';
 
 /**
  * Creates an offline authentication profile for a given username
@@ -27,7 +19,7 @@ let API_URLS = {
  */
 async function getOfflineAuth(username) {
   if (!username || typeof username !== 'string') {
-    throw new Error('Username is required for offline authentication');
+    throw new AuthError('Username is required for offline authentication');
   }
 
   const offlineUuid = generateOfflineUuid(username);
@@ -49,9 +41,28 @@ async function getOfflineAuth(username) {
  * Microsoft Authentication using MSMC
  * @param {Object} options - Authentication options
  * @param {boolean} options.gui - Whether to use GUI authentication (default: true)
+ * @param {TokenStore} [options.tokenStore] - Store to renew the sign-in from and save it to
+ * @param {string} [options.account] - Profile uuid or name in the token store, the most recent one when omitted
+ * @param {boolean} [options.interactive] - Set to false to fail instead of showing a login when there is no usable saved sign-in
  * @returns {Promise<Object>} User profile object for Microsoft authentication
  */
 async function getMicrosoftAuth(options = {}) {
+  const tokenStore = options.tokenStore;
+  const saved = tokenStore && tokenStore.get(options.account);
+
+  // Renew the saved sign-in silently, only asking the user to log in when that fails
+  let renewError = null;
+  if (saved) {
+    try {
+      return await refreshMicrosoftAuth(saved.refresh_token, tokenStore);
+    } catch (error) {
+      if (options.interactive === false) throw error;
+      renewError = error;
+    }
+  } else if (options.interactive === false) {
+    throw new AuthError(`No saved Microsoft sign-in${options.account ? ` for ${options.account}` : ''}`);
+  }
+
   try {
     const authManager = new Auth("select_account");
     
@@ -70,333 +81,492 @@ async function getMicrosoftAuth(options = {}) {
       xboxManager = await authManager.launch("raw");
     }
 
-    const token = await xboxManager.getMinecraft();
-    
-    if (!token.mclc()) {
-      throw new Error('Failed to get Minecraft token from Microsoft account');
+    const user = getMicrosoftUser(await xboxManager.getMinecraft());
+    if (tokenStore) {
+      tokenStore.set(user.uuid, { name: user.name, refresh_token: user.meta.refresh_token });
     }
-
-    const profile = token.mclc();
-    
-    return {
-      access_token: profile.access_token,
-      client_token: profile.client_token || uuidv4(),
-      uuid: profile.uuid,
-      name: profile.name,
-      user_properties: JSON.stringify(profile.user_properties || {}),
-      meta: {
-        type: 'microsoft',
-        demo: false,
-        xuid: token.xbox?.userHash || null
-      }
-    };
+    return user;
   } catch (error) {
-    throw new Error(`Microsoft authentication failed: ${error.message}`);
+    const renewed = renewError ? `, after the saved sign-in of ${saved.name || saved.uuid} couldn't be renewed: ${renewError.message}` : '';
+    throw new AuthError(`Microsoft authentication failed: ${error.message}${renewed}`, { cause: error, renewError });
   }
 }
 
 /**
- * Yggdrasil (Mojang) Authentication
- * @param {string} username - Email or username
- * @param {string} password - Account password
- * @returns {Promise<Object>} User profile object for Yggdrasil authentication
+ * Renew the Xbox Live and Minecraft tokens of a Microsoft account from its MSA refresh token
+ * @param {string} refreshToken - MSA refresh token
+ * @param {TokenStore} [tokenStore] - Store to save the new refresh token to
+ * @returns {Promise<Object>} User profile object for Microsoft authentication
  */
-async function getYggdrasilAuth(username, password) {
-  if (!username || !password) {
-    throw new Error('Username and password are required for Yggdrasil authentication');
+async function refreshMicrosoftAuth(refreshToken, tokenStore) {
+  if (!refreshToken) {
+    throw new AuthError('A refresh token is required to renew a Microsoft sign-in');
   }
 
-  const authData = {
-    agent: {
-      name: "Minecraft",
-      version: 1
-    },
-    username: username,
-    password: password,
-    clientToken: uuidv4(),
-    requestUser: true
-  };
   try {
-    const response = await axios.post(API_URLS.yggdrasil.authenticate, authData, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000
-    });
-
-    const data = response.data;
-    
-    if (!data.accessToken || !data.selectedProfile) {
-      throw new Error('Invalid response from Mojang servers');
+    const xboxManager = await new Auth("select_account").refresh(refreshToken);
+    const user = getMicrosoftUser(await xboxManager.getMinecraft());
+    if (tokenStore) {
+      tokenStore.set(user.uuid, { name: user.name, refresh_token: user.meta.refresh_token });
     }
-
-    return {
-      access_token: data.accessToken,
-      client_token: data.clientToken,
-      uuid: data.selectedProfile.id,
-      name: data.selectedProfile.name,
-      user_properties: JSON.stringify(data.user?.properties || {}),
-      meta: {
-        type: 'yggdrasil',
-        demo: false,
-        legacy: data.selectedProfile.legacy || false
-      }
-    };
+    return user;
   } catch (error) {
-    if (error.response && error.response.data) {
-      const errorData = error.response.data;
-      throw new Error(`Yggdrasil authentication failed: ${errorData.errorMessage || errorData.error || 'Unknown error'}`);
-    }
-    throw new Error(`Yggdrasil authentication failed: ${error.message}`);
+    throw new AuthError(`Microsoft token refresh failed: ${error.message}`, { cause: error });
   }
 }
 
 /**
- * Main authentication function - supports all authentication types
- * @param {string|Object} usernameOrOptions - Username for offline, or options object
- * @param {string} [password] - Password for Yggdrasil authentication
- * @param {string} [type] - Authentication type: 'offline', 'microsoft', 'yggdrasil'
- * @returns {Promise<Object>} User profile object
+ * Build the user profile of a Microsoft account from its MSMC Minecraft token
+ * @param {Object} token - MSMC Minecraft token
+ * @returns {Object} User profile object, meta carrying the refresh token and expiry
  */
-async function getAuth(usernameOrOptions, password, type) {
-  // Handle different parameter patterns
-  if (typeof usernameOrOptions === 'object') {
-    const options = usernameOrOptions;
-    switch (options.type) {
-      case 'microsoft':
-        return getMicrosoftAuth(options);
-      case 'yggdrasil':
-        return getYggdrasilAuth(options.username, options.password);
-      case 'offline':
-      default:
-        return getOfflineAuth(options.username);
-    }
-  } else {
-    // Legacy parameter pattern
-    const username = usernameOrOptions;
-    if (password && type === 'yggdrasil') {
-      return getYggdrasilAuth(username, password);
-    } else if (type === 'microsoft') {
-      return getMicrosoftAuth();
-    } else {
-      // Default to offline
-      return getOfflineAuth(username);
+function getMicrosoftUser(token) {
+  const profile = token.mclc(true);
+  if (!profile) {
+    throw new Error('Failed to get Minecraft token from Microsoft account');
+  }
+
+  return {
+    access_token: profile.access_token,
+    client_token: profile.client_token || uuidv4(),
+    uuid: profile.uuid,
+    name: profile.name,
+    user_properties: JSON.stringify(profile.user_properties || {}),
+    meta: {
+      type: 'microsoft',
+      demo: false,
+      xuid: token.xuid || null,
+      refresh_token: profile.meta.refresh,
+      exp: profile.meta.exp
     }
+  };
+}
+
+/**
+ * Read the expiry of a JWT from its exp claim
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry in ms since the epoch, null when the token isn't a JWT with exp
+ */
+function getTokenExpiry(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf-8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
   }
 }
 
 /**
- * Validates an authentication token
- * @param {string} accessToken - Access token to validate
- * @param {string} clientToken - Client token to validate
- * @param {string} [type] - Authentication type
- * @returns {Promise<boolean>} Token validity
+ * Authenticator bound to one Yggdrasil server. Instances don't share their API URLs, so
+ * accounts of different servers can be used side by side; every Yggdrasil call also takes
+ * an apiUrl option (e.g. meta.apiUrl of a saved user) that overrides the instance's server.
  */
-async function validate(accessToken, clientToken, type = 'offline') {
-  switch (type) {    case 'yggdrasil':
-      try {
-        const response = await axios.post(API_URLS.yggdrasil.validate, {
-          accessToken: accessToken,
-          clientToken: clientToken
-        }, {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 5000
-        });
-        return response.status === 204;
-      } catch (error) {
-        return false;
+class Authenticator {
+  /**
+   * @param {string} [apiUrl] - Base URL of the Yggdrasil endpoints, Mojang's when omitted
+   */
+  constructor(apiUrl) {
+    this.urls = {
+      yggdrasil: getYggdrasilUrls(DEFAULT_API_URL),
+      microsoft: {
+        // Microsoft URLs are handled by MSMC library
       }
-    
-    case 'microsoft':
-      // Microsoft tokens are JWT tokens, basic validation
-      try {
-        if (!accessToken || accessToken.split('.').length !== 3) {
+    };
+    if (apiUrl) this.changeApiUrl(apiUrl);
+  }
+
+  /**
+   * Creates an offline authentication profile for a given username
+   * @param {string} username - The username for offline mode
+   * @returns {Promise<Object>} User profile object for offline authentication
+   */
+  getOfflineAuth(username) {
+    return getOfflineAuth(username);
+  }
+
+  /**
+   * Microsoft Authentication using MSMC, see getMicrosoftAuth
+   * @param {Object} options - Authentication options
+   * @returns {Promise<Object>} User profile object for Microsoft authentication
+   */
+  getMicrosoftAuth(options) {
+    return getMicrosoftAuth(options);
+  }
+
+  /**
+   * Renew a Microsoft sign-in from its MSA refresh token, see refreshMicrosoftAuth
+   * @param {string} refreshToken - MSA refresh token
+   * @param {TokenStore} [tokenStore] - Store to save the new refresh token to
+   * @returns {Promise<Object>} User profile object for Microsoft authentication
+   */
+  refreshMicrosoftAuth(refreshToken, tokenStore) {
+    return refreshMicrosoftAuth(refreshToken, tokenStore);
+  }
+
+  /**
+   * Yggdrasil (Mojang) Authentication
+   * @param {string} username - Email or username
+   * @param {string} password - Account password
+   * @param {Object} [options] - Request options
+   * @param {string} [options.apiUrl] - Base URL of the Yggdrasil endpoints, instead of this authenticator's
+   * @returns {Promise<Object>} User profile object for Yggdrasil authentication
+   */
+  async getYggdrasilAuth(username, password, options = {}) {
+    if (!username || !password) {
+      throw new AuthError('Username and password are required for Yggdrasil authentication');
+    }
+
+    const authData = {
+      agent: {
+        name: "Minecraft",
+        version: 1
+      },
+      username: username,
+      password: password,
+      clientToken: uuidv4(),
+      requestUser: true
+    };
+    const urls = this.getYggdrasilUrls(options.apiUrl);
+    try {
+      const response = await axios.post(urls.authenticate, authData, {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000
+      });
+
+      const data = response.data;
+      
+      if (!data.accessToken || !data.selectedProfile) {
+        throw new Error('Invalid response from Mojang servers');
+      }
+
+      return {
+        access_token: data.accessToken,
+        client_token: data.clientToken,
+        uuid: data.selectedProfile.id,
+        name: data.selectedProfile.name,
+        user_properties: JSON.stringify(data.user?.properties || {}),
+        meta: {
+          type: 'yggdrasil',
+          demo: false,
+          legacy: data.selectedProfile.legacy || false,
+          apiUrl: urls.base,
+          server: getYggdrasilServer(urls.base)
+        }
+      };
+    } catch (error) {
+      if (error.response && error.response.data) {
+        const errorData = error.response.data;
+        throw new AuthError(`Yggdrasil authentication failed: ${errorData.errorMessage || errorData.error || 'Unknown error'}`, { cause: error });
+      }
+      throw new AuthError(`Yggdrasil authentication failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Main authentication function - supports all authentication types
+   * @param {string|Object} usernameOrOptions - Username for offline, or options object
+   * @param {string} [password] - Password for Yggdrasil authentication
+   * @param {string} [type] - Authentication type: 'offline', 'microsoft', 'yggdrasil'
+   * @returns {Promise<Object>} User profile object
+   */
+  async getAuth(usernameOrOptions, password, type) {
+    // Handle different parameter patterns
+    if (typeof usernameOrOptions === 'object') {
+      const options = usernameOrOptions;
+      switch (options.type) {
+        case 'microsoft':
+          return getMicrosoftAuth(options);
+        case 'yggdrasil':
+          return this.getYggdrasilAuth(options.username, options.password, options);
+        case 'offline':
+        default:
+          return getOfflineAuth(options.username);
+      }
+    } else {
+      // Legacy parameter pattern
+      const username = usernameOrOptions;
+      if (password && type === 'yggdrasil') {
+        return this.getYggdrasilAuth(username, password);
+      } else if (type === 'microsoft') {
+        return getMicrosoftAuth();
+      } else {
+        // Default to offline
+        return getOfflineAuth(username);
+      }
+    }
+  }
+
+  /**
+   * Validates an authentication token
+   * @param {string} accessToken - Access token to validate
+   * @param {string} clientToken - Client token to validate
+   * @param {string} [type] - Authentication type
+   * @param {Object} [options] - Request options
+   * @param {string} [options.apiUrl] - Base URL of the Yggdrasil endpoints, instead of this authenticator's
+   * @returns {Promise<boolean>} Token validity
+   */
+  async validate(accessToken, clientToken, type = 'offline', options = {}) {
+    switch (type) {
+      case 'yggdrasil':
+        try {
+          const response = await axios.post(this.getYggdrasilUrls(options.apiUrl).validate, {
+            accessToken: accessToken,
+            clientToken: clientToken
+          }, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 5000
+          });
+          return response.status === 204;
+        } catch (error) {
           return false;
         }
-        // Additional validation could be added here
-        return true;
-      } catch (error) {
-        return false;
+      
+      case 'microsoft': {
+        // Minecraft tokens are JWTs, valid until their exp claim (with a minute to spare for the launch)
+        const expiry = getTokenExpiry(accessToken);
+        return expiry !== null && expiry - 60 * 1000 > Date.now();
       }
-    
-    case 'offline':
-    default:
-      return true;
+      
+      case 'offline':
+      default:
+        return true;
+    }
   }
-}
 
-/**
- * Refreshes an authentication token
- * @param {string} accessToken - Access token to refresh
- * @param {string} clientToken - Client token to refresh
- * @param {string} [type] - Authentication type
- * @returns {Promise<Object>} Refreshed authentication object
- */
-async function refreshAuth(accessToken, clientToken, type = 'offline') {
-  switch (type) {    case 'yggdrasil':
-      try {
-        const response = await axios.post(API_URLS.yggdrasil.refresh, {
-          accessToken: accessToken,
-          clientToken: clientToken,
-          requestUser: true
-        }, {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 10000
-        });
-
-        const data = response.data;
+  /**
+   * Refreshes an authentication token
+   * @param {string} accessToken - Access token to refresh
+   * @param {string} clientToken - Client token to refresh
+   * @param {string} [type] - Authentication type
+   * @param {Object} [options] - Refresh options
+   * @param {string} [options.apiUrl] - Base URL of the Yggdrasil endpoints, instead of this authenticator's
+   * @param {string} [options.refreshToken] - MSA refresh token, e.g. meta.refresh_token of the user
+   * @param {TokenStore} [options.tokenStore] - Store to read the refresh token from and save the new one to
+   * @param {string} [options.account] - Profile uuid or name in the token store
+   * @returns {Promise<Object>} Refreshed authentication object
+   */
+  async refreshAuth(accessToken, clientToken, type = 'offline', options = {}) {
+    switch (type) {
+      case 'yggdrasil': {
+        const urls = this.getYggdrasilUrls(options.apiUrl);
+        try {
+          const response = await axios.post(urls.refresh, {
+            accessToken: accessToken,
+            clientToken: clientToken,
+            requestUser: true
+          }, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 10000
+          });
+
+          const data = response.data;
+          return {
+            access_token: data.accessToken,
+            client_token: data.clientToken,
+            uuid: data.selectedProfile.id,
+            name: data.selectedProfile.name,
+            user_properties: JSON.stringify(data.user?.properties || {}),
+            meta: {
+              type: 'yggdrasil',
+              demo: false,
+              apiUrl: urls.base,
+              server: getYggdrasilServer(urls.base)
+            }
+          };
+        } catch (error) {
+          throw new AuthError(`Token refresh failed: ${error.response?.data?.errorMessage || error.message}`, { cause: error });
+        }
+      }
+      
+      case 'microsoft': {
+        const saved = !options.refreshToken && options.tokenStore && options.tokenStore.get(options.account);
+        return refreshMicrosoftAuth(options.refreshToken || (saved && saved.refresh_token), options.tokenStore);
+      }
+      
+      case 'offline':
+      default:
         return {
-          access_token: data.accessToken,
-          client_token: data.clientToken,
-          uuid: data.selectedProfile.id,
-          name: data.selectedProfile.name,
-          user_properties: JSON.stringify(data.user?.properties || {}),
+          access_token: accessToken,
+          client_token: clientToken,
+          uuid: accessToken,
+          name: 'OfflineUser',
+          user_properties: '{}',
           meta: {
-            type: 'yggdrasil',
+            type: 'offline',
             demo: false
           }
         };
-      } catch (error) {
-        throw new Error(`Token refresh failed: ${error.response?.data?.errorMessage || error.message}`);
-      }
-    
-    case 'microsoft':
-      throw new Error('Microsoft token refresh requires re-authentication');
-    
-    case 'offline':
-    default:
-      return {
-        access_token: accessToken,
-        client_token: clientToken,
-        uuid: accessToken,
-        name: 'OfflineUser',
-        user_properties: '{}',
-        meta: {
-          type: 'offline',
-          demo: false
-        }
-      };
+    }
   }
-}
 
-/**
- * Invalidates a token
- * @param {string} accessToken - Access token to invalidate
- * @param {string} clientToken - Client token to invalidate
- * @param {string} [type] - Authentication type
- * @returns {Promise<boolean>} Success status
- */
-async function invalidate(accessToken, clientToken, type = 'offline') {
-  switch (type) {    case 'yggdrasil':
-      try {
-        await axios.post(API_URLS.yggdrasil.invalidate, {
-          accessToken: accessToken,
-          clientToken: clientToken
-        }, {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 5000
-        });
+  /**
+   * Invalidates a token
+   * @param {string} accessToken - Access token to invalidate
+   * @param {string} clientToken - Client token to invalidate
+   * @param {string} [type] - Authentication type
+   * @param {Object} [options] - Request options
+   * @param {string} [options.apiUrl] - Base URL of the Yggdrasil endpoints, instead of this authenticator's
+   * @returns {Promise<boolean>} Success status
+   */
+  async invalidate(accessToken, clientToken, type = 'offline', options = {}) {
+    switch (type) {
+      case 'yggdrasil':
+        try {
+          await axios.post(this.getYggdrasilUrls(options.apiUrl).invalidate, {
+            accessToken: accessToken,
+            clientToken: clientToken
+          }, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 5000
+          });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      
+      case 'microsoft':
+      case 'offline':
+      default:
         return true;
-      } catch (error) {
-        return false;
-      }
-    
-    case 'microsoft':
-    case 'offline':
-    default:
-      return true;
+    }
   }
-}
 
-/**
- * Sign out
- * @param {string} username - Username to sign out
- * @param {string} password - Password for Yggdrasil
- * @param {string} [type] - Authentication type
- * @returns {Promise<boolean>} Success status
- */
-async function signOut(username, password, type = 'offline') {
-  switch (type) {
-    case 'yggdrasil':
-      if (!password) {
-        throw new Error('Password required for Yggdrasil signout');
-      }      try {
-        await axios.post(API_URLS.yggdrasil.signout, {
-          username: username,
-          password: password
-        }, {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 5000
-        });
+  /**
+   * Sign out
+   * @param {string} username - Username to sign out
+   * @param {string} password - Password for Yggdrasil
+   * @param {string} [type] - Authentication type
+   * @param {Object} [options] - Request options
+   * @param {string} [options.apiUrl] - Base URL of the Yggdrasil endpoints, instead of this authenticator's
+   * @returns {Promise<boolean>} Success status
+   */
+  async signOut(username, password, type = 'offline', options = {}) {
+    switch (type) {
+      case 'yggdrasil':
+        if (!password) {
+          throw new Error('Password required for Yggdrasil signout');
+        }
+        try {
+          await axios.post(this.getYggdrasilUrls(options.apiUrl).signout, {
+            username: username,
+            password: password
+          }, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 5000
+          });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      
+      case 'microsoft':
+      case 'offline':
+      default:
         return true;
-      } catch (error) {
-        return false;
-      }
-    
-    case 'microsoft':
-    case 'offline':
-    default:
-      return true;
+    }
   }
-}
 
-/**
- * Changes the API URL for authentication services
- * @param {string} url - New base URL for authentication API
- * @param {string} [service] - Service to change URL for ('yggdrasil' or 'all'). Default: 'yggdrasil'
- * @returns {Object} Updated API URLs object
- */
-function changeApiUrl(url, service = 'yggdrasil') {
-  if (!url || typeof url !== 'string') {
-    throw new Error('URL is required and must be a string');
+  /**
+   * Changes the API URL of this authenticator
+   * @param {string} url - New base URL for authentication API
+   * @param {string} [service] - Service to change URL for ('yggdrasil' or 'all'). Default: 'yggdrasil'
+   * @returns {Object} Updated API URLs object
+   */
+  changeApiUrl(url, service = 'yggdrasil') {
+    if (!url || typeof url !== 'string') {
+      throw new Error('URL is required and must be a string');
+    }
+
+    if (service === 'yggdrasil' || service === 'all') {
+      this.urls.yggdrasil = getYggdrasilUrls(url);
+    }
+
+    return this.getApiUrls();
   }
 
-  // Remove trailing slash if present
-  const baseUrl = url.replace(/\/$/, '');
+  /**
+   * Gets the current API URLs
+   * @returns {Object} Current API URLs object
+   */
+  getApiUrls() {
+    const { base, ...yggdrasil } = this.urls.yggdrasil;
+    return { yggdrasil, microsoft: { ...this.urls.microsoft } };
+  }
 
-  if (service === 'yggdrasil' || service === 'all') {
-    API_URLS.yggdrasil = {
-      authenticate: `${baseUrl}/authenticate`,
-      refresh: `${baseUrl}/refresh`,
-      validate: `${baseUrl}/validate`,
-      invalidate: `${baseUrl}/invalidate`,
-      signout: `${baseUrl}/signout`
-    };
+  /**
+   * Resets API URLs to default Mojang endpoints
+   * @returns {Object} Reset API URLs object
+   */
+  resetApiUrls() {
+    this.urls.yggdrasil = getYggdrasilUrls(DEFAULT_API_URL);
+    return this.getApiUrls();
   }
 
-  return { ...API_URLS };
+  /**
+   * Get the Yggdrasil endpoints of a request
+   * @param {string} [apiUrl] - Base URL given with the request
+   * @returns {Object} Endpoints and their base URL
+   */
+  getYggdrasilUrls(apiUrl) {
+    return apiUrl ? getYggdrasilUrls(apiUrl) : this.urls.yggdrasil;
+  }
 }
 
 /**
- * Gets the current API URLs
- * @returns {Object} Current API URLs object
+ * Build the Yggdrasil endpoints of a server
+ * @param {string} url - Base URL of the endpoints
+ * @returns {Object} Endpoints and their base URL
  */
-function getApiUrls() {
-  return { ...API_URLS };
+function getYggdrasilUrls(url) {
+  // Remove trailing slash if present
+  const baseUrl = url.replace(/\/$/, '');
+  return {
+    base: baseUrl,
+    authenticate: `${baseUrl}/authenticate`,
+    refresh: `${baseUrl}/refresh`,
+    validate: `${baseUrl}/validate`,
+    invalidate: `${baseUrl}/invalidate`,
+    signout: `${baseUrl}/signout`
+  };
 }
 
 /**
- * Resets API URLs to default Mojang endpoints
- * @returns {Object} Reset API URLs object
+ * Get the API root of a Yggdrasil server, as authlib-injector expects it
+ * @param {string} baseUrl - Base URL of the Yggdrasil endpoints
+ * @returns {string|null} API root, null for Mojang's servers
  */
-function resetApiUrls() {
-  API_URLS.yggdrasil = {
-    authenticate: 'https://authserver.mojang.com/authenticate',
-    refresh: 'https://authserver.mojang.com/refresh',
-    validate: 'https://authserver.mojang.com/validate',
-    invalidate: 'https://authserver.mojang.com/invalidate',
-    signout: 'https://authserver.mojang.com/signout'
-  };
-  
-  return { ...API_URLS };
+function getYggdrasilServer(baseUrl) {
+  if (baseUrl === DEFAULT_API_URL) return null;
+  return baseUrl.replace(/\/authserver$/, '');
 }
 
 /**
- * Generate a deterministic UUID for offline mode based on username
+ * Generate the UUID vanilla servers in offline mode assign to a username,
+ * Java's UUID.nameUUIDFromBytes("OfflinePlayer:" + username): an MD5 based version 3 UUID
  * @param {string} username - Username to generate UUID for
  * @returns {string} Generated UUID
  */
 function generateOfflineUuid(username) {
+  const bytes = crypto.createHash('md5').update(`OfflinePlayer:${username}`, 'utf8').digest();
+  bytes[6] = (bytes[6] & 0x0f) | 0x30;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = bytes.toString('hex');
+  return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+}
+
+/**
+ * Generate the UUID earlier versions used for offline profiles, derived from a 32-bit string hash.
+ * Only needed to find player data saved under it.
+ * @param {string} username - Username to generate UUID for
+ * @returns {string} Legacy UUID
+ */
+function generateLegacyOfflineUuid(username) {
   const namespace = 'OfflinePlayer:';
   const data = namespace + username;
   
@@ -411,17 +581,85 @@ function generateOfflineUuid(username) {
   return `${hex.substring(0, 8)}-${hex.substring(0, 4)}-4${hex.substring(1, 4)}-8${hex.substring(0, 3)}-${hex.substring(0, 12)}`;
 }
 
+// Player files named after the player's UUID, relative to a world
+const PLAYER_FILES = [
+  { directory: 'playerdata', extensions: ['.dat', '.dat_old'] },
+  { directory: 'advancements', extensions: ['.json'] },
+  { directory: 'stats', extensions: ['.json'] }
+];
+
+/**
+ * Rename the player data, advancements and stats saved under the legacy offline UUIDs
+ * of the given players to their Mojang-compatible UUIDs
+ * @param {string} directory - A world, or a game directory whose saves/ worlds are all migrated
+ * @param {Array<string>} usernames - Offline player names to migrate
+ * @param {Object} [options] - Migration options
+ * @param {boolean} [options.dryRun] - Only report what would be renamed
+ * @returns {Array<Object>} Renamed (or skipped, when the new file exists or the legacy UUID is shared by several names) files with world, name, from, to and ambiguous
+ */
+function migrateOfflinePlayerData(directory, usernames, options = {}) {
+  const worlds = fs.existsSync(path.join(directory, 'level.dat'))
+    ? [directory]
+    : fs.existsSync(path.join(directory, 'saves'))
+      ? fs.readdirSync(path.join(directory, 'saves'))
+        .map(world => path.join(directory, 'saves', world))
+        .filter(world => fs.existsSync(path.join(world, 'level.dat')))
+      : [];
+
+  // The legacy hash collides easily ("Aa" and "BB"), a file shared by several of the names can't be attributed
+  const names = usernames.filter((name, index) => usernames.indexOf(name) === index);
+  const owners = {};
+  for (const name of names) {
+    const legacy = generateLegacyOfflineUuid(name);
+    owners[legacy] = (owners[legacy] || []).concat(name);
+  }
+
+  const results = [];
+  for (const world of worlds) {
+    for (const name of names) {
+      const from = generateLegacyOfflineUuid(name);
+      const to = generateOfflineUuid(name);
+      const ambiguous = owners[from].length > 1;
+
+      for (const { directory: playerDirectory, extensions } of PLAYER_FILES) {
+        for (const extension of extensions) {
+          const oldFile = path.join(world, playerDirectory, from + extension);
+          const newFile = path.join(world, playerDirectory, to + extension);
+          if (!fs.existsSync(oldFile)) continue;
+
+          // Never overwrite data the player already has under the new UUID
+          const skipped = ambiguous || fs.existsSync(newFile);
+          if (!skipped && !options.dryRun) fs.renameSync(oldFile, newFile);
+          results.push({ world, name, from: oldFile, to: newFile, skipped, ambiguous });
+        }
+      }
+    }
+  }
+
+  return results;
+}
+
+// The module's functions use a default authenticator, changed through changeApiUrl
+const defaultAuthenticator = new Authenticator();
+const bind = method => defaultAuthenticator[method].bind(defaultAuthenticator);
+
 // Export all functions
 module.exports = {
-  getAuth,
+  Authenticator,
+  defaultAuthenticator,
+  getAuth: bind('getAuth'),
   getOfflineAuth,
   getMicrosoftAuth,
-  getYggdrasilAuth,
-  validate,
-  refreshAuth,
-  invalidate,
-  signOut,
-  changeApiUrl,
-  getApiUrls,
-  resetApiUrls
+  refreshMicrosoftAuth,
+  getYggdrasilAuth: bind('getYggdrasilAuth'),
+  validate: bind('validate'),
+  refreshAuth: bind('refreshAuth'),
+  invalidate: bind('invalidate'),
+  signOut: bind('signOut'),
+  changeApiUrl: bind('changeApiUrl'),
+  getApiUrls: bind('getApiUrls'),
+  resetApiUrls: bind('resetApiUrls'),
+  generateOfflineUuid,
+  generateLegacyOfflineUuid,
+  migrateOfflinePlayerData
 };
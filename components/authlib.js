@@ -0,0 +1,143 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { DownloadError, MissingFilesError, CODES } = require('./errors')
+
+const ARTIFACT_URL = 'https://authlib-injector.yushi.moe/artifact/latest.json'
+
+/**
+ * Hashes a file with sha256, the checksum authlib-injector publishes
+ * @param {string} file - Path to file
+ * @returns {string} Hex digest
+ */
+function sha256(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex')
+}
+
+/**
+ * Sets up authlib-injector, the Java agent that makes the game validate sessions and
+ * load skins from a custom Yggdrasil server instead of Mojang's
+ */
+class AuthlibInjector {
+  constructor(client) {
+    this.client = client
+    this.options = client.options
+    this.handler = client.handler
+    this.directory = path.join(this.options.root, 'authlib-injector')
+  }
+
+  /**
+   * Get the API root of the Yggdrasil server the game should use
+   * @returns {string|null} API root, null when the account is a Mojang or Microsoft one
+   */
+  getServer() {
+    const injector = this.options.authlibInjector
+    if (injector === false) return null
+    if (injector && injector.server) return injector.server.replace(/\/$/, '')
+
+    const auth = this.options.authorization
+    return (auth && auth.meta && auth.meta.type === 'yggdrasil' && auth.meta.server) || null
+  }
+
+  /**
+   * Download the latest agent jar into <root>/authlib-injector, checked against its sha256,
+   * unless authlibInjector.jar points at a local one. The newest downloaded jar is used when
+   * the latest version can't be looked up
+   * @returns {Promise<string>} Path to the agent jar
+   */
+  async getJar() {
+    const injector = this.options.authlibInjector || {}
+    if (injector.jar) return this.getInstalledJar()
+
+    // A downloaded jar keeps working when the artifact server can't be reached
+    let artifact
+    try {
+      artifact = await this.handler.getJson(this.options.overrides.url.authlibInjector || ARTIFACT_URL)
+    } catch (e) {
+      if (e.code === CODES.ABORTED) throw e
+      let jar
+      try {
+        jar = this.getInstalledJar()
+      } catch (missing) {
+        throw e
+      }
+      this.client.emit('debug', `[VoidBeam]: Couldn't check for authlib-injector updates (${e.message}), using ${path.basename(jar)}`)
+      return jar
+    }
+    const name = `authlib-injector-${artifact.version}.jar`
+    const file = path.join(this.directory, name)
+
+    if (fs.existsSync(file) && sha256(file) === artifact.checksums.sha256) return file
+
+    await this.handler.downloadAsync(artifact.download_url, this.directory, name, true, 'authlib-injector')
+    if (sha256(file) !== artifact.checksums.sha256) {
+      fs.unlinkSync(file)
+      throw new DownloadError(`Downloaded ${name} does not match the expected sha256`, { url: artifact.download_url, file })
+    }
+
+    this.client.emit('debug', `[VoidBeam]: Using authlib-injector ${artifact.version}`)
+    return file
+  }
+
+  /**
+   * Locate the agent jar without downloading anything: authlibInjector.jar, or the newest downloaded one
+   * @returns {string} Path to the agent jar
+   */
+  getInstalledJar() {
+    const injector = this.options.authlibInjector || {}
+    if (injector.jar) {
+      const jar = path.resolve(injector.jar)
+      if (!fs.existsSync(jar)) {
+        throw new MissingFilesError(`authlib-injector jar not found at ${jar}`, { missing: [{ type: 'authlib-injector', file: jar }] })
+      }
+      return jar
+    }
+
+    const jars = fs.existsSync(this.directory)
+      ? fs.readdirSync(this.directory)
+        .filter(file => /^authlib-injector-.+\.jar$/.test(file))
+        .map(file => path.join(this.directory, file))
+        .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)
+      : []
+    if (!jars.length) {
+      throw new MissingFilesError('authlib-injector isn\'t installed', { missing: [{ type: 'authlib-injector', file: this.directory }] })
+    }
+    return jars[0]
+  }
+
+  /**
+   * Fetch the server's metadata from its API root, letting the agent skip that request on startup
+   * @param {string} server - API root
+   * @returns {Promise<string|null>} Base64 metadata, null when it couldn't be fetched
+   */
+  getPrefetched(server) {
+    if (this.options.offline) return Promise.resolve(null)
+
+    return new Promise(resolve => {
+      this.handler.get(server, (error, response, body) => {
+        if (error || response.statusCode !== 200) {
+          this.client.emit('debug', `[VoidBeam]: Couldn't prefetch ${server}: ${error ? error.message : response.statusCode}, authlib-injector will fetch it itself`)
+          return resolve(null)
+        }
+        resolve(Buffer.from(body).toString('base64'))
+      })
+    })
+  }
+
+  /**
+   * Get the JVM arguments loading the agent for the server
+   * @param {string} server - API root
+   * @param {boolean} [prefetch] - Whether to fetch the server metadata for the agent
+   * @returns {Promise<Array<string>>} JVM arguments
+   */
+  async getArguments(server, prefetch) {
+    const args = [`-javaagent:${this.getInstalledJar()}=${server}`]
+    const prefetched = prefetch && await this.getPrefetched(server)
+    if (prefetched) args.push(`-Dauthlibinjector.yggdrasil.prefetched=${prefetched}`)
+
+    this.client.emit('debug', `[VoidBeam]: Using authlib-injector with ${server}`)
+    return args
+  }
+}
+
+module.exports = AuthlibInjector
@@ -0,0 +1,198 @@
+const fs = require('fs')
+const path = require('path')
+const { DownloadError, AbortError } = require('./errors')
+
+// Client errors that won't go away by asking again, 416 restarts without the partial file
+const isRetryable = status => !status || status >= 500 || [408, 416, 429].includes(status)
+
+class Downloader {
+  /**
+   * @param {Object} client - Event emitter receiving debug messages
+   * @param {Function} baseRequest - Preconfigured request instance
+   * @param {Object} [options] - Download policy
+   * @param {number} [options.retries] - Attempts after the first one
+   * @param {number} [options.backoff] - Delay before the first retry in ms, doubled for every further retry
+   * @param {number} [options.timeout] - Time limit for a single attempt in ms, from the moment it gets a socket
+   * @param {AbortSignal} [options.signal] - Aborts every running and pending download
+   */
+  constructor(client, baseRequest, options = {}) {
+    this.client = client
+    this.baseRequest = baseRequest
+    this.retries = options.retries !== undefined ? options.retries : 3
+    this.backoff = options.backoff !== undefined ? options.backoff : 1000
+    this.timeout = options.timeout || 0
+    this.signal = options.signal
+  }
+
+  /**
+   * Throw an AbortError once the signal fired
+   * @param {string} url - URL being downloaded
+   */
+  throwIfAborted(url) {
+    if (this.signal && this.signal.aborted) {
+      throw new AbortError(`Download of ${url} aborted`, { url, cause: this.signal.reason })
+    }
+  }
+
+  /**
+   * Wait before the next attempt, cut short when the signal fires
+   * @param {number} delay - Delay in ms
+   * @returns {Promise<void>}
+   */
+  wait(delay) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer)
+        if (this.signal) this.signal.removeEventListener('abort', done)
+        resolve()
+      }
+      const timer = setTimeout(done, delay)
+      if (this.signal) this.signal.addEventListener('abort', done)
+    })
+  }
+
+  /**
+   * Download a file, resuming from a previous partial download when possible
+   * @param {string} url - URL to download from
+   * @param {string} file - Destination path
+   * @param {Object} [options] - Download options
+   * @param {number} [options.retries] - Overrides the configured retry count
+   * @param {Function} [options.onData] - Called with the length of every received chunk
+   * @returns {Promise<void>}
+   */
+  async download(url, file, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : this.retries
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+
+    for (let attempt = 1; ; attempt++) {
+      this.throwIfAborted(url)
+
+      try {
+        await this.attempt(url, file, options.onData)
+        return
+      } catch (error) {
+        if (error instanceof AbortError) throw error
+
+        const status = error.status
+        if (attempt > retries || !isRetryable(status)) {
+          throw new DownloadError(`Failed to download ${url} after ${attempt} attempt(s): ${error.message}`, {
+            url,
+            status,
+            attempts: attempt,
+            cause: error
+          })
+        }
+
+        const delay = this.backoff * Math.pow(2, attempt - 1)
+        this.client.emit('debug', `[VoidBeam]: Failed to download ${path.basename(file)} (${error.message}), retrying in ${delay}ms`)
+        await this.wait(delay)
+      }
+    }
+  }
+
+  /**
+   * Run a single download attempt into a .part file and rename it once complete.
+   * Aborting removes the .part file.
+   * @param {string} url - URL to download from
+   * @param {string} file - Destination path
+   * @param {Function} [onData] - Called with the length of every received chunk
+   * @returns {Promise<void>}
+   */
+  attempt(url, file, onData) {
+    const partFile = `${file}.part`
+    const offset = fs.existsSync(partFile) ? fs.statSync(partFile).size : 0
+
+    return new Promise((resolve, reject) => {
+      let timer
+      let writeStream
+      let settled = false
+
+      // The write stream is closed before settling, the caller may remove or reuse its file right away
+      const fail = (error, cleanup) => {
+        if (settled) return
+        settled = true
+        clearTimeout(timer)
+        if (this.signal) this.signal.removeEventListener('abort', abort)
+        stream.abort()
+
+        const done = () => {
+          if (cleanup) cleanup()
+          reject(error)
+        }
+        if (writeStream && !writeStream.closed) {
+          writeStream.on('close', done)
+          writeStream.destroy()
+        } else {
+          done()
+        }
+      }
+
+      const abort = () => {
+        fail(new AbortError(`Download of ${url} aborted`, { url, cause: this.signal.reason }), () => fs.rmSync(partFile, { force: true }))
+      }
+
+      const stream = this.baseRequest({
+        url,
+        headers: offset ? { Range: `bytes=${offset}-` } : {}
+      })
+
+      // Queued requests wait for a free socket, the time limit starts once they get one
+      if (this.timeout) {
+        stream.on('request', (req) => req.on('socket', () => {
+          if (settled) return
+          clearTimeout(timer)
+          timer = setTimeout(() => fail(new Error(`Timed out after ${this.timeout}ms`)), this.timeout)
+        }))
+      }
+
+      if (this.signal) this.signal.addEventListener('abort', abort)
+
+      stream.on('response', (response) => {
+        // A range the server can't satisfy means the partial file is unusable
+        if (response.statusCode === 416) {
+          fs.unlinkSync(partFile)
+          return fail(Object.assign(new Error('Partial download is invalid'), { status: 416 }))
+        }
+        if (response.statusCode !== 200 && response.statusCode !== 206) {
+          return fail(Object.assign(new Error(`Status ${response.statusCode}`), { status: response.statusCode }))
+        }
+
+        const resumed = response.statusCode === 206
+        if (resumed) this.client.emit('debug', `[VoidBeam]: Resuming ${path.basename(file)} at ${offset} bytes`)
+
+        const length = parseInt(response.headers['content-length'])
+        const expected = isNaN(length) ? null : (resumed ? offset : 0) + length
+
+        writeStream = fs.createWriteStream(partFile, { flags: resumed ? 'a' : 'w' })
+        writeStream.on('error', fail)
+        writeStream.on('finish', () => {
+          if (settled) return
+
+          // The connection closed early, keep the partial file for the next attempt
+          const received = fs.statSync(partFile).size
+          if (expected !== null && received !== expected) {
+            return fail(new Error(`Received ${received} of ${expected} bytes`))
+          }
+
+          settled = true
+          clearTimeout(timer)
+          if (this.signal) this.signal.removeEventListener('abort', abort)
+          try {
+            fs.renameSync(partFile, file)
+            resolve()
+          } catch (error) {
+            reject(error)
+          }
+        })
+        if (onData) stream.on('data', (chunk) => onData(chunk.length))
+        stream.pipe(writeStream)
+      })
+
+      stream.on('error', fail)
+    })
+  }
+}
+
+Downloader.DownloadError = DownloadError
+
+module.exports = Downloader
@@ -0,0 +1,120 @@
+/**
+ * Error codes carried by every VoidBeam error
+ */
+const CODES = {
+  JAVA_NOT_FOUND: 'JAVA_NOT_FOUND',
+  JAVA_INCOMPATIBLE: 'JAVA_INCOMPATIBLE',
+  VERSION_NOT_FOUND: 'VERSION_NOT_FOUND',
+  VERSION_INVALID: 'VERSION_INVALID',
+  DOWNLOAD_FAILED: 'DOWNLOAD_FAILED',
+  FILES_MISSING: 'FILES_MISSING',
+  AUTH_INVALID: 'AUTH_INVALID',
+  ABORTED: 'ABORTED',
+  INSTANCE_NOT_FOUND: 'INSTANCE_NOT_FOUND',
+  INSTANCE_EXISTS: 'INSTANCE_EXISTS',
+  INSTANCE_INVALID: 'INSTANCE_INVALID',
+  LAUNCH_FAILED: 'LAUNCH_FAILED'
+}
+
+/**
+ * Base class of the errors raised by the launcher, identified by their code
+ */
+class VoidBeamError extends Error {
+  /**
+   * @param {string} code - One of CODES
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Extra properties copied onto the error, cause included
+   */
+  constructor(code, message, details = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+    Object.assign(this, details)
+  }
+}
+
+/**
+ * Java is missing, doesn't run, or is too old for the version
+ */
+class JavaError extends VoidBeamError {
+  constructor(message, details, code = CODES.JAVA_NOT_FOUND) {
+    super(code, message, details)
+  }
+}
+
+/**
+ * The version (or one it inherits from) is unknown or its JSON is unusable
+ */
+class VersionError extends VoidBeamError {
+  constructor(message, details, code = CODES.VERSION_NOT_FOUND) {
+    super(code, message, details)
+  }
+}
+
+/**
+ * A file could not be downloaded after every attempt, or is still corrupt afterwards
+ */
+class DownloadError extends VoidBeamError {
+  constructor(message, details) {
+    super(CODES.DOWNLOAD_FAILED, message, details)
+  }
+}
+
+/**
+ * An offline launch found files of the version missing, listed in its missing property
+ */
+class MissingFilesError extends VoidBeamError {
+  constructor(message, details) {
+    super(CODES.FILES_MISSING, message, details)
+  }
+}
+
+/**
+ * Credentials or the authorization object are missing or rejected
+ */
+class AuthError extends VoidBeamError {
+  constructor(message, details) {
+    super(CODES.AUTH_INVALID, message, details)
+  }
+}
+
+/**
+ * The launch or install was cancelled through its AbortSignal
+ */
+class AbortError extends VoidBeamError {
+  constructor(message = 'Aborted', details) {
+    super(CODES.ABORTED, message, details)
+  }
+}
+
+/**
+ * An instance is missing, already exists, or its name or instance.json can't be used
+ */
+class InstanceError extends VoidBeamError {
+  constructor(message, details, code = CODES.INSTANCE_NOT_FOUND) {
+    super(code, message, details)
+  }
+}
+
+/**
+ * Wrap any error into a VoidBeamError, unknown failures get LAUNCH_FAILED
+ * @param {Error} error - Error to wrap
+ * @returns {VoidBeamError} Typed error
+ */
+function toVoidBeamError(error) {
+  if (error instanceof VoidBeamError) return error
+  return new VoidBeamError(CODES.LAUNCH_FAILED, error.message, { cause: error })
+}
+
+module.exports = {
+  CODES,
+  VoidBeamError,
+  JavaError,
+  VersionError,
+  DownloadError,
+  MissingFilesError,
+  AuthError,
+  AbortError,
+  InstanceError,
+  toVoidBeamError
+}
@@ -0,0 +1,282 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Zip = require('adm-zip')
+const child = require('child_process')
+
+class ForgeHandler {
+  constructor(client) {
+    this.client = client
+    this.options = client.options
+    this.handler = client.handler
+  }
+
+  /**
+   * Install a Forge or NeoForge installer jar
+   * @returns {Promise<string>} Version id to use as version.custom
+   */
+  async install() {
+    const installerPath = path.resolve(this.options.installer)
+    if (!fs.existsSync(installerPath)) {
+      throw new Error(`Forge installer not found at ${installerPath}`)
+    }
+
+    this.installerPath = installerPath
+    this.zip = new Zip(installerPath)
+    this.libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
+
+    const profile = this.readJson('install_profile.json')
+
+    // Installers before 1.13 ship the version JSON and universal jar only
+    if (profile.versionInfo) {
+      return this.installLegacy(profile)
+    }
+
+    const versionJson = this.readJson(profile.json)
+    this.client.emit('debug', `[VoidBeam]: Installing ${versionJson.id} for Minecraft ${profile.minecraft}`)
+
+    this.writeVersion(versionJson)
+    this.extractMaven()
+
+    await this.handler.downloadToDirectory(this.libraryDirectory, profile.libraries || [], 'forge')
+    await this.handler.downloadToDirectory(this.libraryDirectory, versionJson.libraries || [], 'forge')
+
+    const processors = (profile.processors || []).filter(processor => !processor.sides || processor.sides.includes('client'))
+    if (processors.length) {
+      const minecraftJar = await this.getMinecraftJar(profile.minecraft)
+      const java = this.options.javaPath || 'java'
+      const javaCheck = await this.handler.checkJava(java)
+      if (!javaCheck.run) {
+        throw new Error(`Couldn't run Forge processors due to: ${javaCheck.message}`)
+      }
+
+      const temp = fs.mkdtempSync(path.join(os.tmpdir(), 'voidbeam-forge-'))
+      try {
+        const data = this.getData(profile, temp, minecraftJar)
+        for (let index = 0; index < processors.length; index++) {
+          this.client.emit('progress', {
+            type: 'forge-processors',
+            task: index,
+            total: processors.length
+          })
+          await this.runProcessor(java, processors[index], data)
+        }
+        this.client.emit('progress', {
+          type: 'forge-processors',
+          task: processors.length,
+          total: processors.length
+        })
+      } finally {
+        fs.rmSync(temp, { recursive: true, force: true })
+      }
+    }
+
+    this.client.emit('debug', `[VoidBeam]: Installed ${versionJson.id}`)
+    return versionJson.id
+  }
+
+  /**
+   * Install a legacy (1.12.2 and older) Forge installer
+   * @param {Object} profile - Installer profile
+   * @returns {Promise<string>} Version id to use as version.custom
+   */
+  async installLegacy(profile) {
+    const versionJson = profile.versionInfo
+    this.client.emit('debug', `[VoidBeam]: Installing legacy ${versionJson.id} for Minecraft ${profile.install.minecraft}`)
+
+    const universalPath = path.join(this.libraryDirectory, this.handler.getMavenPath(profile.install.path))
+    fs.mkdirSync(path.dirname(universalPath), { recursive: true })
+    fs.writeFileSync(universalPath, this.zip.readFile(profile.install.filePath))
+
+    this.writeVersion(versionJson)
+
+    // Legacy profiles only list server requirements with clientreq: false
+    const libraries = versionJson.libraries.filter(lib => lib.clientreq !== false)
+    await this.handler.downloadToDirectory(this.libraryDirectory, libraries, 'forge')
+
+    this.client.emit('debug', `[VoidBeam]: Installed ${versionJson.id}`)
+    return versionJson.id
+  }
+
+  /**
+   * Read a JSON file from the installer jar
+   * @param {string} entry - Entry name
+   * @returns {Object} Parsed JSON
+   */
+  readJson(entry) {
+    const text = this.zip.readAsText(entry.replace(/^\//, ''))
+    if (!text) {
+      throw new Error(`${entry} not found in Forge installer`)
+    }
+    return JSON.parse(text)
+  }
+
+  /**
+   * Write the version JSON into the versions directory
+   * @param {Object} versionJson - Version data
+   */
+  writeVersion(versionJson) {
+    const versionDirectory = path.join(this.options.root, 'versions', versionJson.id)
+    fs.mkdirSync(versionDirectory, { recursive: true })
+    fs.writeFileSync(path.join(versionDirectory, `${versionJson.id}.json`), JSON.stringify(versionJson, null, 2))
+  }
+
+  /**
+   * Extract the libraries bundled in the installer's maven directory
+   */
+  extractMaven() {
+    for (const entry of this.zip.getEntries()) {
+      if (entry.isDirectory || !entry.entryName.startsWith('maven/')) continue
+
+      const target = path.join(this.libraryDirectory, entry.entryName.substring('maven/'.length))
+      fs.mkdirSync(path.dirname(target), { recursive: true })
+      fs.writeFileSync(target, entry.getData())
+    }
+  }
+
+  /**
+   * Download the vanilla client jar the processors patch
+   * @param {string} version - Minecraft version
+   * @returns {Promise<string>} Path to the client jar
+   */
+  async getMinecraftJar(version) {
+    this.options.version = { ...this.options.version, number: version }
+    this.options.directory = path.join(this.options.root, 'versions', version)
+
+    const versionFile = await this.handler.getVersion()
+    if (versionFile instanceof Error) throw versionFile
+
+    await this.handler.getJar()
+    return path.join(this.options.directory, `${version}.jar`)
+  }
+
+  /**
+   * Build the {data} token table for the client side
+   * @param {Object} profile - Installer profile
+   * @param {string} temp - Directory for files extracted from the installer
+   * @param {string} minecraftJar - Path to the vanilla client jar
+   * @returns {Object} Token values
+   */
+  getData(profile, temp, minecraftJar) {
+    const data = {
+      SIDE: 'client',
+      MINECRAFT_JAR: minecraftJar,
+      MINECRAFT_VERSION: profile.minecraft,
+      ROOT: this.options.root,
+      INSTALLER: this.installerPath,
+      LIBRARY_DIR: this.libraryDirectory
+    }
+
+    for (const key of Object.keys(profile.data || {})) {
+      const value = profile.data[key].client
+      if (value.startsWith('/')) {
+        const target = path.join(temp, value)
+        fs.mkdirSync(path.dirname(target), { recursive: true })
+        fs.writeFileSync(target, this.zip.readFile(value.substring(1)))
+        data[key] = target
+      } else {
+        data[key] = this.resolveValue(value, {})
+      }
+    }
+
+    return data
+  }
+
+  /**
+   * Substitute {data} tokens, [maven:coords] references and 'literals'
+   * @param {string} value - Raw value
+   * @param {Object} data - Token values
+   * @returns {string} Resolved value
+   */
+  resolveValue(value, data) {
+    if (value.startsWith('[') && value.endsWith(']')) {
+      return path.join(this.libraryDirectory, this.handler.getMavenPath(value.slice(1, -1)))
+    }
+    if (value.startsWith('\'') && value.endsWith('\'')) {
+      return value.slice(1, -1)
+    }
+
+    return value.replace(/{(\w+)}/g, (match, key) => {
+      if (data[key] === undefined) {
+        throw new Error(`Unknown Forge processor token ${match}`)
+      }
+      return data[key]
+    })
+  }
+
+  /**
+   * Run one installer processor and verify its outputs
+   * @param {string} java - Path to Java executable
+   * @param {Object} processor - Processor entry from the installer profile
+   * @param {Object} data - Token values
+   * @returns {Promise<void>}
+   */
+  async runProcessor(java, processor, data) {
+    const outputs = Object.keys(processor.outputs || {}).map(key => ({
+      file: this.resolveValue(key, data),
+      sha1: this.resolveValue(processor.outputs[key], data)
+    }))
+
+    if (outputs.length && await this.checkOutputs(outputs)) {
+      this.client.emit('debug', `[VoidBeam]: Skipping processor ${processor.jar}, outputs are up to date`)
+      return
+    }
+
+    const jar = path.join(this.libraryDirectory, this.handler.getMavenPath(processor.jar))
+    const mainClass = this.getMainClass(jar)
+    const separator = this.handler.getOS() === 'windows' ? ';' : ':'
+    const classPath = [jar].concat((processor.classpath || []).map(lib => path.join(this.libraryDirectory, this.handler.getMavenPath(lib))))
+    const args = (processor.args || []).map(arg => this.resolveValue(arg, data))
+
+    this.client.emit('debug', `[VoidBeam]: Running processor ${processor.jar}`)
+    await new Promise((resolve, reject) => {
+      const processorProcess = child.spawn(java, ['-cp', classPath.join(separator), mainClass].concat(args), {
+        cwd: this.options.root
+      })
+
+      processorProcess.stdout.on('data', (output) => this.client.emit('debug', `[VoidBeam]: ${output.toString('utf-8').trim()}`))
+      processorProcess.stderr.on('data', (output) => this.client.emit('debug', `[VoidBeam]: ${output.toString('utf-8').trim()}`))
+      processorProcess.on('error', reject)
+      processorProcess.on('close', (code) => {
+        if (code !== 0) return reject(new Error(`Processor ${processor.jar} exited with code ${code}`))
+        resolve()
+      })
+    })
+
+    if (outputs.length && !await this.checkOutputs(outputs)) {
+      throw new Error(`Processor ${processor.jar} produced outputs with an unexpected sha1`)
+    }
+  }
+
+  /**
+   * Check processor outputs exist with the expected sha1
+   * @param {Array<Object>} outputs - Files and expected hashes
+   * @returns {Promise<boolean>} Whether every output matches
+   */
+  async checkOutputs(outputs) {
+    for (const output of outputs) {
+      if (!fs.existsSync(output.file)) return false
+      if (!await this.handler.checkSum(output.sha1, output.file)) {
+        this.client.emit('debug', `[VoidBeam]: ${output.file} does not match sha1 ${output.sha1}`)
+        return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * Read the Main-Class from a jar manifest
+   * @param {string} jar - Path to the jar
+   * @returns {string} Main class
+   */
+  getMainClass(jar) {
+    const manifest = new Zip(jar).readAsText('META-INF/MANIFEST.MF')
+    const match = manifest.match(/^Main-Class:\s*(\S+)/m)
+    if (!match) {
+      throw new Error(`No Main-Class in ${jar}`)
+    }
+    return match[1]
+  }
+}
+
+module.exports = ForgeHandler
@@ -0,0 +1,192 @@
+const fs = require('fs')
+const path = require('path')
+const child = require('child_process')
+const { StringDecoder } = require('string_decoder')
+
+const CRASH_MARKER = '---- Minecraft Crash Report ----'
+const MAX_CRASH_OUTPUT = 64 * 1024
+
+/**
+ * Parse the header of a Minecraft crash report
+ * @param {string} text - Crash report contents
+ * @returns {Object} Summary with comment, time, description and exception
+ */
+function parseCrashReport(text) {
+  const lines = text.substring(Math.max(0, text.indexOf(CRASH_MARKER))).split(/\r?\n/)
+  const field = name => {
+    const line = lines.find(line => line.startsWith(`${name}: `))
+    return line ? line.substring(name.length + 2).trim() : null
+  }
+
+  // The exception follows the description, separated by an empty line
+  const descriptionIndex = lines.findIndex(line => line.startsWith('Description: '))
+  const exception = descriptionIndex === -1
+    ? null
+    : lines.slice(descriptionIndex + 1).find(line => line.trim() && !line.startsWith('\t')) || null
+
+  const comment = lines.find(line => line.startsWith('// '))
+  return {
+    comment: comment ? comment.substring(3) : null,
+    time: field('Time'),
+    description: field('Description'),
+    exception: exception && exception.trim()
+  }
+}
+
+/**
+ * A running game, tracking its uptime and classifying how it exited
+ */
+class GameProcess {
+  /**
+   * @param {Object} client - Event emitter receiving 'crash' and 'exit' events
+   * @param {ChildProcess} minecraft - Spawned game process
+   * @param {Object} options - Process options
+   * @param {string} options.gameDirectory - Directory holding crash-reports/
+   * @param {boolean} [options.detached] - Whether the game leads its own process group
+   */
+  constructor(client, minecraft, options) {
+    this.client = client
+    this.process = minecraft
+    this.pid = minecraft.pid
+    this.gameDirectory = options.gameDirectory
+    this.detached = !!options.detached
+    this.startedAt = Date.now()
+    this.exitedAt = null
+    this.running = true
+    this.exit = null
+    this.killed = false
+    this.crashOutput = null
+
+    // The marker and multi-byte characters can be split across chunks, keep the tail of the previous one
+    const scan = () => {
+      const decoder = new StringDecoder('utf-8')
+      let tail = ''
+      return (data) => {
+        const chunk = decoder.write(data)
+        const text = tail + chunk
+        if (this.crashOutput !== null) {
+          if (this.crashOutput.length < MAX_CRASH_OUTPUT) this.crashOutput += chunk
+        } else if (text.includes(CRASH_MARKER)) {
+          this.crashOutput = text.substring(text.indexOf(CRASH_MARKER))
+        }
+        tail = text.slice(-CRASH_MARKER.length)
+      }
+    }
+    minecraft.stdout.on('data', scan())
+    minecraft.stderr.on('data', scan())
+
+    this.exited = new Promise(resolve => {
+      minecraft.on('close', (code, signal) => resolve(this.classify(code, signal)))
+    })
+  }
+
+  /**
+   * Time the game has been running (or ran) for
+   * @returns {number} Uptime in ms
+   */
+  get uptime() {
+    return (this.exitedAt || Date.now()) - this.startedAt
+  }
+
+  /**
+   * Ask the game to quit, then force it when it's still running after the timeout
+   * @param {Object} [options] - Kill options
+   * @param {number} [options.timeout] - Time to wait before forcing in ms
+   * @returns {Promise<Object>} Exit details
+   */
+  kill({ timeout = 10000 } = {}) {
+    if (!this.running) return this.exited
+
+    this.killed = true
+    this.terminate(false)
+
+    const timer = setTimeout(() => {
+      if (this.running) {
+        this.client.emit('debug', `[VoidBeam]: Game didn't quit after ${timeout}ms, forcing it`)
+        this.terminate(true)
+      }
+    }, timeout)
+
+    return this.exited.then(exit => {
+      clearTimeout(timer)
+      return exit
+    })
+  }
+
+  /**
+   * Stop the game along with the processes it started
+   * @param {boolean} force - Whether to kill instead of asking to quit
+   */
+  terminate(force) {
+    if (process.platform === 'win32') {
+      // taskkill without /f closes the window like the user would
+      child.spawn('taskkill', ['/pid', String(this.pid), '/t'].concat(force ? ['/f'] : []), { stdio: 'ignore' })
+      return
+    }
+
+    const signal = force ? 'SIGKILL' : 'SIGTERM'
+    try {
+      if (!this.detached) throw new Error('Not a process group leader')
+      process.kill(-this.pid, signal)
+    } catch (e) {
+      this.process.kill(signal)
+    }
+  }
+
+  /**
+   * Classify the exit once the process closed, emitting 'crash' and 'exit'
+   * @param {number|null} code - Exit code
+   * @param {string|null} signal - Signal that ended the process
+   * @returns {Object} Exit details
+   */
+  classify(code, signal) {
+    this.running = false
+    this.exitedAt = Date.now()
+
+    // Crash reports are also written for crashes the game recovers from, only count them on a failed exit
+    const crashReport = this.killed ? null : this.findCrashReport()
+    let reason
+    if (this.killed) {
+      reason = 'killed'
+    } else if (this.crashOutput !== null || (code !== 0 && crashReport)) {
+      reason = 'crash'
+    } else {
+      reason = code === 0 ? 'normal' : 'error'
+    }
+
+    this.exit = { code, signal, reason, uptime: this.uptime }
+
+    if (reason === 'crash') {
+      const report = crashReport ? fs.readFileSync(crashReport, 'utf-8') : this.crashOutput
+      const crash = { file: crashReport, summary: parseCrashReport(report) }
+      this.exit.crash = crash
+      this.client.emit('debug', `[VoidBeam]: Game crashed${crashReport ? `, crash report saved to ${crashReport}` : ''}`)
+      this.client.emit('crash', crash)
+    }
+
+    this.client.emit('exit', this.exit)
+    return this.exit
+  }
+
+  /**
+   * Find the newest crash report written while the game was running
+   * @returns {string|null} Path to the crash report
+   */
+  findCrashReport() {
+    const directory = path.join(this.gameDirectory, 'crash-reports')
+    if (!fs.existsSync(directory)) return null
+
+    const newest = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.txt'))
+      .map(file => ({ file: path.join(directory, file), time: fs.statSync(path.join(directory, file)).mtimeMs }))
+      // Some file systems only store modification times to the second
+      .filter(report => report.time >= this.startedAt - 2000)
+      .sort((a, b) => b.time - a.time)[0]
+
+    return newest ? newest.file : null
+  }
+}
+
+GameProcess.parseCrashReport = parseCrashReport
+
+module.exports = GameProcess
@@ -1,43 +1,71 @@
 const fs = require('fs')
+const events = require('events')
 const path = require('path')
 const request = require('request')
 const checksum = require('checksum')
 const Zip = require('adm-zip')
-const child = require('child_process')
-
-let counter = 0
+const rules = require('./rules')
+const Downloader = require('./downloader')
+const DownloadQueue = require('./queue')
+const mirrors = require('./mirrors')
+const javaDiscovery = require('./java')
+const { VersionError, DownloadError, MissingFilesError, AbortError, CODES } = require('./errors')
 
 class Handler {
   constructor(client) {
     this.client = client
     this.options = client.options
+    // Every queued download of a phase needs its own socket, most of them go to the same host
+    const download = this.options.overrides.download || {}
     this.baseRequest = request.defaults({
-      pool: { maxSockets: this.options.overrides.maxSockets || 2 },
+      pool: { maxSockets: this.options.overrides.maxSockets || download.concurrency || DownloadQueue.CONCURRENCY },
       timeout: this.options.timeout || 50000
     })
+    this.downloader = new Downloader(client, this.baseRequest, { ...this.options.overrides.download, signal: this.options.signal })
+
+    // Every running download listens to the signal. Node 14 and polyfilled signals have no listener limit to lift
+    if (this.options.signal && events.setMaxListeners) {
+      try {
+        events.setMaxListeners(0, this.options.signal)
+      } catch (e) {}
+    }
+  }
+
+  /**
+   * Throw an AbortError once options.signal fired
+   */
+  throwIfAborted() {
+    if (this.options.signal && this.options.signal.aborted) {
+      throw new AbortError('Aborted', { cause: this.options.signal.reason })
+    }
+  }
+
+  /**
+   * Throw a DownloadError instead of fetching anything when options.offline is set
+   * @param {string} url - URL that would be fetched
+   */
+  throwIfOffline(url) {
+    if (this.options.offline) {
+      throw new DownloadError(`Offline mode, not fetching ${url}`, { url, offline: true })
+    }
   }
 
   /**
    * Check if Java is installed and working
    * @param {string} java - Path to Java executable
-   * @returns {Promise<Object>} Java check result
-   */
-  checkJava(java) {
-    return new Promise(resolve => {
-      child.exec(`"${java}" -version`, (error, stdout, stderr) => {
-        if (error) {
-          resolve({
-            run: false,
-            message: error
-          })
-        } else {
-          this.client.emit('debug', `[VoidBeam]: Using Java version ${stderr.match(/"(.*?)"/).pop()} ${stderr.includes('64-Bit') ? '64-bit' : '32-Bit'}`)
-          resolve({
-            run: true
-          })
-        }
-      })
-    })
+   * @returns {Promise<Object>} Java check result, with version, major, vendor and bits when it runs
+   */
+  async checkJava(java) {
+    try {
+      const details = await javaDiscovery.inspectJava(java)
+      this.client.emit('debug', `[VoidBeam]: Using Java version ${details.version} (${details.vendor}) ${details.bits}-bit`)
+      return { run: true, ...details }
+    } catch (error) {
+      return {
+        run: false,
+        message: error
+      }
+    }
   }
 
   /**
@@ -45,43 +73,110 @@ class Handler {
    * @param {string} url - URL to download from
    * @param {string} directory - Directory to save file to
    * @param {string} name - Name of the file
-   * @param {boolean} retry - Whether to retry on failure
+   * @param {boolean} retry - Whether to retry on failure, following the overrides.download policy
    * @param {string} type - Type of download for progress tracking
+   * @param {Function} [onData] - Called with the length of every received chunk
    * @returns {Promise<void>}
    */
-  downloadAsync(url, directory, name, retry, type) {
-    return new Promise((resolve, reject) => {
-      fs.mkdirSync(directory, { recursive: true })
+  async downloadAsync(url, directory, name, retry, type, onData) {
+    this.throwIfOffline(url)
+    const downloadStart = Date.now()
+    this.client.emit('debug', `[VoidBeam]: Downloading ${name} from ${url}`)
 
-      const downloadStart = Date.now()
-      this.client.emit('debug', `[VoidBeam]: Downloading ${name} from ${url}`)
+    // Try each mirror in turn, the original URL comes last
+    const candidates = this.getUrls(url)
+    for (let index = 0; index < candidates.length; index++) {
+      try {
+        await this.downloader.download(candidates[index], path.join(directory, name), retry ? { onData } : { retries: 0, onData })
+        break
+      } catch (error) {
+        this.client.emit('debug', `[VoidBeam]: ${error.message}`)
+        if (index === candidates.length - 1) throw error
+      }
+    }
 
-      const stream = this.baseRequest(url)
-      stream.on('response', (response) => {
-        if (response.statusCode !== 200) {
-          this.client.emit('debug', `[VoidBeam]: Failed to download ${name}, status: ${response.statusCode}`)
-          if (retry) return this.downloadAsync(url, directory, name, false, type)
-          return reject(new Error(`Download failed: ${response.statusCode}`))
+    this.client.emit('debug', `[VoidBeam]: Downloaded ${name} in ${Date.now() - downloadStart}ms`)
+  }
+
+  /**
+   * Create a bounded-concurrency queue for one download phase
+   * @param {string} type - Phase name used in progress events
+   * @returns {DownloadQueue} Download queue
+   */
+  createQueue(type) {
+    const download = this.options.overrides.download || {}
+    return new DownloadQueue(this.client, type, { concurrency: download.concurrency })
+  }
+
+  /**
+   * Get the URLs to try for a resource after mirror rewriting
+   * @param {string} url - Original URL
+   * @returns {Array<string>} Candidate URLs, the original one last
+   */
+  getUrls(url) {
+    return mirrors.getCandidates(url, this.options.overrides)
+  }
+
+  /**
+   * Send a GET request, falling back to the next mirror on errors and non-200 responses
+   * @param {string} url - Original URL
+   * @param {Function} callback - Request callback (error, response, body)
+   * @param {Object} [headers] - Request headers
+   */
+  get(url, callback, headers = {}) {
+    const candidates = this.getUrls(url)
+    const signal = this.options.signal
+
+    try {
+      this.throwIfOffline(url)
+    } catch (e) {
+      return callback(e)
+    }
+
+    const next = (index) => {
+      if (signal && signal.aborted) {
+        return callback(new AbortError(`Request to ${url} aborted`, { url, cause: signal.reason }))
+      }
+
+      const abort = () => {
+        req.abort()
+        callback(new AbortError(`Request to ${url} aborted`, { url, cause: signal.reason }))
+      }
+
+      const req = this.baseRequest.get({ url: candidates[index], headers }, (error, response, body) => {
+        if (signal) signal.removeEventListener('abort', abort)
+        if ((error || ![200, 304].includes(response.statusCode)) && index < candidates.length - 1) {
+          this.client.emit('debug', `[VoidBeam]: Request to ${candidates[index]} failed, trying ${candidates[index + 1]}`)
+          return next(index + 1)
         }
+        callback(error, response, body)
       })
 
-      stream.on('error', (error) => {
-        this.client.emit('debug', `[VoidBeam]: Failed to download ${name}: ${error}`)
-        if (retry) return this.downloadAsync(url, directory, name, false, type)
-        reject(error)
-      })
+      if (signal) signal.addEventListener('abort', abort, { once: true })
+    }
 
-      const writeStream = fs.createWriteStream(path.join(directory, name))
-      stream.pipe(writeStream)
+    next(0)
+  }
 
-      writeStream.on('finish', () => {
-        const downloadTime = Date.now() - downloadStart
-        this.client.emit('debug', `[VoidBeam]: Downloaded ${name} in ${downloadTime}ms`)
-        resolve()
-      })
+  /**
+   * Fetch and parse a JSON document
+   * @param {string} url - URL to fetch
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  getJson(url) {
+    return new Promise((resolve, reject) => {
+      this.get(url, (error, response, body) => {
+        if (error instanceof AbortError) return reject(error)
+        if (error) return reject(new DownloadError(`Request to ${url} failed: ${error.message}`, { url, cause: error }))
+        if (response.statusCode !== 200) {
+          return reject(new DownloadError(`Request to ${url} failed: ${response.statusCode}`, { url, status: response.statusCode }))
+        }
 
-      writeStream.on('error', (error) => {
-        reject(error)
+        try {
+          resolve(JSON.parse(body))
+        } catch (e) {
+          reject(new DownloadError(`Invalid JSON from ${url}: ${e.message}`, { url, cause: e }))
+        }
       })
     })
   }
@@ -104,75 +199,312 @@ class Handler {
     })
   }
 
+  /**
+   * Verify a file against its expected size and sha1. Existing files are only hashed in
+   * 'hash' verify mode, hashing every asset and library before each launch takes a while.
+   * @param {string} file - Path to file
+   * @param {Object} [expected] - Expected sha1 and size
+   * @param {boolean} [hash] - Whether to compare the sha1, by default only in 'hash' verify mode
+   * @returns {Promise<boolean>} Whether the file is intact
+   */
+  async verifyFile(file, expected = {}, hash = this.options.verify === 'hash') {
+    if (!fs.existsSync(file)) return false
+    if (expected.size !== undefined && fs.statSync(file).size !== expected.size) return false
+    if (expected.sha1 && hash) {
+      return this.checkSum(expected.sha1, file)
+    }
+    return true
+  }
+
+  /**
+   * Download a file unless an intact copy exists, then verify the download.
+   * Mismatching files are reported through the 'corrupt' event and downloaded again.
+   * @param {string} url - URL to download from
+   * @param {string} directory - Directory to save file to
+   * @param {string} name - Name of the file
+   * @param {Object} expected - Expected sha1 and size
+   * @param {string} type - Type of download for progress tracking
+   * @param {Function} [onData] - Called with the length of every received chunk
+   * @returns {Promise<void>}
+   */
+  async downloadVerified(url, directory, name, expected, type, onData) {
+    this.throwIfAborted()
+    const file = path.join(directory, name)
+
+    if (fs.existsSync(file)) {
+      if (await this.verifyFile(file, expected)) return
+      this.client.emit('corrupt', { file, type, url, sha1: expected.sha1, size: expected.size })
+      this.client.emit('debug', `[VoidBeam]: ${name} failed verification, downloading again`)
+    }
+
+    await this.downloadAsync(url, directory, name, true, type, onData)
+
+    // Fresh downloads are hashed unless verify is 'size'
+    if (!await this.verifyFile(file, expected, this.options.verify !== 'size')) {
+      this.client.emit('corrupt', { file, type, url, sha1: expected.sha1, size: expected.size })
+      throw new DownloadError(`Downloaded ${name} does not match the expected ${this.options.verify === 'size' ? 'size' : 'sha1'}`, { url, file })
+    }
+  }
+
   /**
    * Get Minecraft version manifest and specific version data
-   * @returns {Promise<Object>} Version data
+   * @param {boolean} [download] - Whether a version that isn't installed may be fetched
+   * @returns {Promise<Object>} Version data, or the error that prevented loading it
    */
-  getVersion() {
-    return new Promise(resolve => {
-      const versionJsonPath = this.options.overrides.versionJson || path.join(this.options.directory, `${this.options.version.number}.json`)
-      
-      if (fs.existsSync(versionJsonPath)) {
+  async getVersion(download = true) {
+    const versionJsonPath = this.options.overrides.versionJson || path.join(this.options.directory, `${this.options.version.number}.json`)
+
+    if (fs.existsSync(versionJsonPath)) {
+      try {
         this.version = JSON.parse(fs.readFileSync(versionJsonPath))
-        return resolve(this.version)
+        return this.version
+      } catch (e) {
+        const error = new VersionError(`Version JSON ${versionJsonPath} is invalid: ${e.message}`, {
+          version: this.options.version.number,
+          file: versionJsonPath,
+          cause: e
+        }, CODES.VERSION_INVALID)
+
+        // A custom version JSON can't be fetched again
+        if (this.options.offline || !download || this.options.overrides.versionJson) return error
+        this.client.emit('debug', `[VoidBeam]: ${error.message}, downloading it again`)
       }
+    }
+
+    if (this.options.offline) {
+      return new MissingFilesError(`Version ${this.options.version.number} isn't installed`, {
+        missing: [{ type: 'version', file: versionJsonPath }]
+      })
+    }
+    if (!download) {
+      return new VersionError(`Version ${this.options.version.number} isn't installed`, {
+        version: this.options.version.number,
+        file: versionJsonPath
+      })
+    }
+
+    // Versions released since the manifest was cached are only in a fresh one
+    let manifest
+    try {
+      manifest = await this.getManifest(true)
+    } catch (error) {
+      if (error instanceof AbortError) return error
+      return new DownloadError(`${error.message} and version ${this.options.version.number} isn't installed`, { url: error.url, status: error.status, cause: error })
+    }
+
+    const desiredVersion = manifest.versions.find(version => version.id === this.options.version.number)
+    if (!desiredVersion) {
+      return new VersionError(`Version ${this.options.version.number} not found`, { version: this.options.version.number })
+    }
+
+    try {
+      this.version = await this.getJson(desiredVersion.url)
+    } catch (error) {
+      return error
+    }
+
+    // Save version file
+    if (!fs.existsSync(this.options.directory)) {
+      fs.mkdirSync(this.options.directory, { recursive: true })
+    }
+
+    // An interrupted write must not leave a truncated version JSON behind
+    fs.writeFileSync(`${versionJsonPath}.part`, JSON.stringify(this.version, null, 2))
+    fs.renameSync(`${versionJsonPath}.part`, versionJsonPath)
+    return this.version
+  }
+
+  /**
+   * Get the version manifest from the cache directory, asking the server again once the
+   * cached copy is older than overrides.manifestMaxAge or when refresh is set. The server
+   * is asked with the cached ETag, an unchanged manifest isn't downloaded again.
+   * Offline, the cached copy is used whatever its age.
+   * @param {boolean} [refresh] - Whether to ignore the cache age
+   * @returns {Promise<Object>} Version manifest
+   */
+  async getManifest(refresh) {
+    const cache = this.options.cache ? `${this.options.cache}/json` : `${this.options.root}/cache/json`
+    const manifestPath = path.join(cache, 'version_manifest.json')
+    const metaPath = path.join(cache, 'version_manifest.meta.json')
+    const maxAge = this.options.overrides.manifestMaxAge !== undefined ? this.options.overrides.manifestMaxAge : 10 * 60 * 1000
+
+    const cached = fs.existsSync(manifestPath)
+    const meta = cached && fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath)) : {}
+    if (cached && (this.options.offline || (!refresh && meta.fetched && Date.now() - meta.fetched < maxAge))) {
+      return JSON.parse(fs.readFileSync(manifestPath))
+    }
+
+    const url = `${this.options.overrides.url.meta}/mc/game/version_manifest.json`
+    const { response, body } = await new Promise((resolve, reject) => {
+      this.get(url, (error, response, body) => {
+        if (error instanceof AbortError) return reject(error)
+        if (error) return reject(new DownloadError(`Couldn't fetch the version manifest: ${error.message}`, { url, cause: error }))
+        if (![200, 304].includes(response.statusCode)) {
+          return reject(new DownloadError(`Couldn't fetch the version manifest: ${response.statusCode}`, { url, status: response.statusCode }))
+        }
 
-      const manifest = `${this.options.overrides.url.meta}/mc/game/version_manifest.json`
-      const cache = this.options.cache ? `${this.options.cache}/json` : `${this.options.root}/cache/json`
-      
-      request.get(manifest, (error, response, body) => {
-        if (error && error.code !== 'ENOTFOUND') return resolve(error)
-        
-        if (!error) {
-          if (!fs.existsSync(cache)) {
-            fs.mkdirSync(cache, { recursive: true })
-            this.client.emit('debug', '[VoidBeam]: Cache directory created.')
+        // An error page must not replace the cached manifest
+        if (response.statusCode === 200) {
+          try {
+            JSON.parse(body)
+          } catch (e) {
+            return reject(new DownloadError(`Couldn't fetch the version manifest: invalid JSON (${e.message})`, { url, cause: e }))
           }
-          
-          fs.writeFile(path.join(`${cache}/version_manifest.json`), body, (err) => {
-            if (err) return resolve(err)
-            
-            const manifest = JSON.parse(body)
-            const desiredVersion = manifest.versions.find(version => version.id === this.options.version.number)
-            
-            if (!desiredVersion) {
-              return resolve(new Error(`Version ${this.options.version.number} not found`))
-            }
-
-            request.get(desiredVersion.url, (error, response, body) => {
-              if (error) return resolve(error)
-              
-              this.version = JSON.parse(body)
-              
-              // Save version file
-              if (!fs.existsSync(this.options.directory)) {
-                fs.mkdirSync(this.options.directory, { recursive: true })
-              }
-              
-              fs.writeFileSync(versionJsonPath, JSON.stringify(this.version, null, 2))
-              resolve(this.version)
-            })
-          })
-        } else {
-          // Offline mode - try to use cached manifest
-          const cachedManifest = path.join(cache, 'version_manifest.json')
-          if (fs.existsSync(cachedManifest)) {
-            const manifest = JSON.parse(fs.readFileSync(cachedManifest))
-            const desiredVersion = manifest.versions.find(version => version.id === this.options.version.number)
-            
-            if (desiredVersion) {
-              const cachedVersion = path.join(cache, `${this.options.version.number}.json`)
-              if (fs.existsSync(cachedVersion)) {
-                this.version = JSON.parse(fs.readFileSync(cachedVersion))
-                return resolve(this.version)
-              }
-            }
+        }
+        resolve({ response, body })
+      }, cached && meta.etag ? { 'If-None-Match': meta.etag } : {})
+    }).catch(error => {
+      if (!cached || error instanceof AbortError) throw error
+      this.client.emit('debug', `[VoidBeam]: ${error.message}, using the cached version manifest`)
+      return {}
+    })
+
+    if (!response) return JSON.parse(fs.readFileSync(manifestPath))
+
+    const manifest = response.statusCode === 304 ? JSON.parse(fs.readFileSync(manifestPath)) : JSON.parse(body)
+
+    fs.mkdirSync(cache, { recursive: true })
+    if (response.statusCode === 200) fs.writeFileSync(manifestPath, body)
+    fs.writeFileSync(metaPath, JSON.stringify({ etag: response.headers.etag || meta.etag, fetched: Date.now() }))
+
+    this.client.emit('debug', `[VoidBeam]: Version manifest ${response.statusCode === 304 ? 'unchanged' : 'updated'}`)
+    return manifest
+  }
+
+  /**
+   * List the versions installed in versions/
+   * @returns {Array<Object>} Installed versions with id, type, releaseTime and inheritsFrom
+   */
+  getInstalledVersions() {
+    const directory = path.join(this.options.root, 'versions')
+    if (!fs.existsSync(directory)) return []
+
+    return fs.readdirSync(directory)
+      .filter(id => fs.existsSync(path.join(directory, id, `${id}.json`)))
+      .map(id => {
+        try {
+          const json = JSON.parse(fs.readFileSync(path.join(directory, id, `${id}.json`)))
+          return {
+            id,
+            type: json.type || null,
+            releaseTime: json.releaseTime || null,
+            inheritsFrom: json.inheritsFrom || null
           }
-          
-          resolve(new Error('No internet connection and no cached version available'))
+        } catch (e) {
+          this.client.emit('debug', `[VoidBeam]: Skipping unreadable version ${id}: ${e.message}`)
+          return null
         }
       })
-    })
+      .filter(Boolean)
+  }
+
+  /**
+   * Load a custom version JSON (Forge, Fabric, Quilt, OptiFine...) and merge it
+   * with the versions it inherits from
+   * @returns {Promise<Object>} Merged version data
+   */
+  async getCustomVersion() {
+    const custom = this.options.version.custom
+    const chain = []
+    let current = custom
+
+    while (current) {
+      if (chain.find(json => json.id === current)) {
+        return new VersionError(`Version ${custom} has a circular inheritsFrom chain at ${current}`, { version: custom }, CODES.VERSION_INVALID)
+      }
+
+      let json
+      if (chain.length && this.version && this.version.id === current) {
+        json = this.version
+      } else {
+        const jsonPath = path.join(this.options.root, 'versions', current, `${current}.json`)
+        if (!fs.existsSync(jsonPath)) {
+          return new VersionError(chain.length
+            ? `Version ${current} inherited by ${chain[chain.length - 1].id} not found`
+            : `Custom version ${custom} not found at ${jsonPath}`, { version: current })
+        }
+        try {
+          json = JSON.parse(fs.readFileSync(jsonPath))
+        } catch (e) {
+          return new VersionError(`Version JSON ${jsonPath} is invalid: ${e.message}`, { version: current, file: jsonPath, cause: e }, CODES.VERSION_INVALID)
+        }
+      }
+
+      chain.push(json)
+      current = json.inheritsFrom
+    }
+
+    this.client.emit('debug', `[VoidBeam]: Resolved custom version ${custom} from ${chain.map(json => json.id).join(' -> ')}`)
+
+    this.version = chain.reduceRight((parent, child) => this.mergeVersion(parent, child))
+    return this.version
+  }
+
+  /**
+   * Merge a child version JSON on top of the version it inherits from
+   * @param {Object} parent - Inherited version data
+   * @param {Object} child - Version data declaring inheritsFrom
+   * @returns {Object} Merged version data
+   */
+  mergeVersion(parent, child) {
+    const merged = { ...parent, ...child }
+
+    // Keep the vanilla id, version gates (natives, log4j) are based on it
+    merged.id = parent.id
+    delete merged.inheritsFrom
+
+    // Child libraries replace parent libraries with the same group, artifact and classifier
+    const libraryKey = lib => {
+      if (!lib.name) return null
+      const [group, artifact, , classifier] = lib.name.split('@')[0].split(':')
+      return `${group}:${artifact}:${classifier || ''}`
+    }
+    const childKeys = new Set((child.libraries || []).map(libraryKey).filter(Boolean))
+    merged.libraries = (child.libraries || []).concat(
+      (parent.libraries || []).filter(lib => !childKeys.has(libraryKey(lib)))
+    )
+
+    // Modern arguments are appended, legacy minecraftArguments are replaced as a whole
+    if (parent.arguments && child.arguments) {
+      merged.arguments = {
+        game: (parent.arguments.game || []).concat(child.arguments.game || []),
+        jvm: (parent.arguments.jvm || []).concat(child.arguments.jvm || [])
+      }
+    }
+
+    return merged
+  }
+
+  /**
+   * Resolve the download info of a library, building it from the Maven
+   * coordinates when the version JSON only carries a name and repository URL
+   * @param {Object} lib - Library object
+   * @returns {Object|null} Artifact with path and url
+   */
+  getLibraryArtifact(lib) {
+    if (lib.downloads) return lib.downloads.artifact || null
+    if (!lib.name) return null
+
+    const artifactPath = this.getMavenPath(lib.name)
+    const repository = (lib.url || 'https://libraries.minecraft.net/').replace(/\/?$/, '/')
+    return {
+      path: artifactPath,
+      url: `${repository}${artifactPath.split(path.sep).join('/')}`,
+      sha1: lib.sha1,
+      size: lib.size
+    }
+  }
+
+  /**
+   * Convert Maven coordinates (group:artifact:version[:classifier][@ext]) to a relative path
+   * @param {string} name - Maven coordinates
+   * @returns {string} Relative artifact path
+   */
+  getMavenPath(name) {
+    const [coordinates, extension = 'jar'] = name.split('@')
+    const [group, artifact, version, classifier] = coordinates.split(':')
+    const file = `${artifact}-${version}${classifier ? `-${classifier}` : ''}.${extension}`
+    return path.join(...group.split('.'), artifact, version, file)
   }
 
   /**
@@ -182,17 +514,20 @@ class Handler {
   async getJar() {
     const jarPath = this.options.overrides.minecraftJar || path.join(this.options.directory, `${this.options.version.number}.jar`)
     
-    if (fs.existsSync(jarPath)) {
+    // Custom jars can't be checked against the version JSON
+    if (this.options.overrides.minecraftJar && fs.existsSync(jarPath)) {
       return
     }
 
-    const downloadUrl = this.version.downloads.client.url
+    const client = this.version.downloads.client
     const jarDirectory = path.dirname(jarPath)
     const jarName = path.basename(jarPath)
 
-    this.client.emit('debug', '[VoidBeam]: Downloading Minecraft jar')
-    await this.downloadAsync(downloadUrl, jarDirectory, jarName, true, 'client')
-    this.client.emit('debug', '[VoidBeam]: Downloaded Minecraft jar')
+    this.client.emit('debug', '[VoidBeam]: Checking Minecraft jar')
+    await this.createQueue('client').run([client], (item, onData) =>
+      this.downloadVerified(client.url, jarDirectory, jarName, client, 'client', onData)
+    )
+    this.client.emit('debug', '[VoidBeam]: Minecraft jar ready')
   }
 
   /**
@@ -206,38 +541,26 @@ class Handler {
     
     const indexPath = path.join(assetDirectory, 'indexes', `${assetIndex}.json`)
     
-    if (!fs.existsSync(indexPath)) {
-      this.client.emit('debug', '[VoidBeam]: Downloading asset index')
-      await this.downloadAsync(assetIndexUrl, path.dirname(indexPath), `${assetIndex}.json`, true, 'asset-index')
-    }
+    // An overridden index name no longer matches the version's hash
+    const expectedIndex = this.options.overrides.assetIndex ? {} : this.version.assetIndex
+    this.client.emit('debug', '[VoidBeam]: Checking asset index')
+    await this.downloadVerified(assetIndexUrl, path.dirname(indexPath), `${assetIndex}.json`, expectedIndex, 'asset-index')
 
     const index = JSON.parse(fs.readFileSync(indexPath))
     
-    this.client.emit('progress', {
-      type: 'assets',
-      task: 0,
-      total: Object.keys(index.objects).length
-    })
+    // Several asset names can share one object
+    const objects = {}
+    for (const asset of Object.keys(index.objects)) {
+      objects[index.objects[asset].hash] = index.objects[asset]
+    }
 
-    counter = 0
-    await Promise.all(Object.keys(index.objects).map(async asset => {
-      const hash = index.objects[asset].hash
+    await this.createQueue('assets').run(Object.values(objects), ({ hash, size }, onData) => {
       const subhash = hash.substring(0, 2)
       const subAsset = path.join(assetDirectory, 'objects', subhash)
 
-      if (!fs.existsSync(path.join(subAsset, hash))) {
-        await this.downloadAsync(`${this.options.overrides.url.resource}/${subhash}/${hash}`, subAsset, hash, true, 'assets')
-      }
-      
-      counter++
-      this.client.emit('progress', {
-        type: 'assets',
-        task: counter,
-        total: Object.keys(index.objects).length
-      })
-    }))
+      return this.downloadVerified(`${this.options.overrides.url.resource}/${subhash}/${hash}`, subAsset, hash, { sha1: hash, size }, 'assets', onData)
+    })
 
-    counter = 0
     this.client.emit('debug', '[VoidBeam]: Downloaded assets')
   }
 
@@ -247,58 +570,206 @@ class Handler {
    * @returns {boolean} Whether to exclude library
    */
   parseRule(lib) {
-    if (!lib.rules) return false
-    
-    let action = false
-    for (const rule of lib.rules) {
-      if (rule.action === 'allow') {
-        action = true
-        if (rule.os) {
-          action = rule.os.name === this.getOS()
-        }
-      } else if (rule.action === 'disallow') {
-        if (rule.os && rule.os.name === this.getOS()) {
-          action = false
-        }
+    return !this.checkRules(lib.rules)
+  }
+
+  /**
+   * Get the client logging configuration declared by the version JSON
+   * @returns {Object|null} Config file with its path, url, sha1, size, type and JVM argument
+   */
+  getLoggingConfig() {
+    const logging = this.version.logging && this.version.logging.client
+    if (!logging || !logging.file || this.options.logging === false) return null
+
+    const assetDirectory = this.options.overrides.assetRoot || path.join(this.options.root, 'assets')
+    const file = path.resolve(assetDirectory, 'log_configs', logging.file.id)
+    return {
+      ...logging.file,
+      path: file,
+      type: logging.type,
+      argument: logging.argument.replace('${path}', file)
+    }
+  }
+
+  /**
+   * Download the client logging configuration, checked against its sha1
+   * @returns {Promise<Object|null>} Logging configuration
+   */
+  async getLoggingFile() {
+    const config = this.getLoggingConfig()
+    if (!config) return null
+
+    this.client.emit('debug', `[VoidBeam]: Checking logging configuration ${config.id}`)
+    await this.downloadVerified(config.url, path.dirname(config.path), path.basename(config.path), config, 'log-config')
+    return config
+  }
+
+  /**
+   * Get the directory natives are extracted to
+   * @returns {string|null} Natives directory, null for versions (1.19+) that extract their own
+   */
+  getNativeDirectory() {
+    if (parseInt(this.version.id.split('.')[1]) >= 19) return null
+    return path.resolve(this.options.overrides.natives || path.join(this.options.root, 'natives', this.version.id))
+  }
+
+  /**
+   * List the files an installed version consists of, with their expected sha1 and size
+   * @returns {Array<Object>} Files with type, file, url, sha1 and size
+   */
+  getInstallationFiles() {
+    const files = []
+
+    if (!this.options.overrides.minecraftJar) {
+      const client = this.version.downloads.client
+      files.push({
+        type: 'client',
+        file: path.join(this.options.directory, `${this.options.version.number}.jar`),
+        url: client.url,
+        sha1: client.sha1,
+        size: client.size
+      })
+    }
+
+    const libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
+    for (const lib of this.version.libraries) {
+      const artifact = this.getLibraryArtifact(lib)
+      if (!artifact || !artifact.url || this.parseRule(lib)) continue
+      files.push({
+        type: 'classes',
+        file: path.join(libraryDirectory, artifact.path),
+        url: artifact.url,
+        sha1: artifact.sha1,
+        size: artifact.size
+      })
+    }
+
+    const assetDirectory = this.options.overrides.assetRoot || path.join(this.options.root, 'assets')
+    const assetIndex = this.options.overrides.assetIndex || this.version.assetIndex.id
+    const indexPath = path.join(assetDirectory, 'indexes', `${assetIndex}.json`)
+    const expectedIndex = this.options.overrides.assetIndex ? {} : this.version.assetIndex
+    files.push({
+      type: 'asset-index',
+      file: indexPath,
+      url: this.version.assetIndex.url,
+      sha1: expectedIndex.sha1,
+      size: expectedIndex.size
+    })
+
+    const logging = this.getLoggingConfig()
+    if (logging) {
+      files.push({
+        type: 'log-config',
+        file: logging.path,
+        url: logging.url,
+        sha1: logging.sha1,
+        size: logging.size
+      })
+    }
+
+    // Objects can only be listed from an existing index
+    if (fs.existsSync(indexPath)) {
+      const index = JSON.parse(fs.readFileSync(indexPath))
+      for (const asset of Object.keys(index.objects)) {
+        const { hash, size } = index.objects[asset]
+        const subhash = hash.substring(0, 2)
+        files.push({
+          type: 'assets',
+          file: path.join(assetDirectory, 'objects', subhash, hash),
+          url: `${this.options.overrides.url.resource}/${subhash}/${hash}`,
+          sha1: hash,
+          size
+        })
       }
     }
-    
-    return !action
+
+    return files
   }
 
   /**
-   * Download and extract native libraries
-   * @returns {Promise<string>} Path to natives directory
+   * List the files of the version that aren't on disk, without downloading or hashing anything
+   * @returns {Array<Object>} Missing files with type, file and url when they can be downloaded
    */
-  async getNatives() {
-    const nativeDirectory = path.resolve(this.options.overrides.natives || path.join(this.options.root, 'natives', this.version.id))
+  getMissingFiles() {
+    const missing = this.getInstallationFiles().filter(entry => !fs.existsSync(entry.file))
 
-    if (parseInt(this.version.id.split('.')[1]) >= 19) {
-      return this.options.overrides.cwd || this.options.root
+    if (this.options.overrides.minecraftJar && !fs.existsSync(this.options.overrides.minecraftJar)) {
+      missing.push({ type: 'client', file: this.options.overrides.minecraftJar })
     }
 
-    if (!fs.existsSync(nativeDirectory) || !fs.readdirSync(nativeDirectory).length) {
-      fs.mkdirSync(nativeDirectory, { recursive: true })
+    // Libraries generated by mod loader installers have no URL and aren't installation files
+    for (const file of this.getLibraryPaths()) {
+      if (!fs.existsSync(file) && !missing.find(entry => entry.file === file)) {
+        missing.push({ type: 'classes', file })
+      }
+    }
 
-      const natives = []
-      await Promise.all(this.version.libraries.map(async (lib) => {
-        if (!lib.downloads || !lib.downloads.classifiers) return
-        if (this.parseRule(lib)) return
+    if (this.needsNatives()) {
+      missing.push({ type: 'natives', file: this.getNativeDirectory() })
+    }
 
-        const native = this.getOS() === 'osx'
+    return missing
+  }
+
+  /**
+   * Get the native library jars of this platform, declared as classifiers by pre-1.19 libraries
+   * @returns {Array<Object>} Native artifacts with path, url, sha1 and size
+   */
+  getNativeLibraries() {
+    const natives = []
+    for (const lib of this.version.libraries) {
+      if (!lib.downloads || !lib.downloads.classifiers) continue
+      if (this.parseRule(lib)) continue
+
+      // Older libraries name their classifier per os, with the bitness as ${arch}
+      const classifier = lib.natives && lib.natives[this.getOS()]
+      const native = classifier
+        ? lib.downloads.classifiers[classifier.replace('${arch}', this.getArch() === 'x86' ? '32' : '64')]
+        : this.getOS() === 'osx'
           ? lib.downloads.classifiers['natives-osx'] || lib.downloads.classifiers['natives-macos']
           : lib.downloads.classifiers[`natives-${this.getOS()}`]
 
-        if (native) natives.push(native)
-      }))
+      if (native) natives.push(native)
+    }
+    return natives
+  }
 
-      // Download natives
-      await Promise.all(natives.map(async (native) => {
-        const nativePath = path.join(nativeDirectory, path.basename(native.path))
-        if (!fs.existsSync(nativePath)) {
-          await this.downloadAsync(native.url, nativeDirectory, path.basename(native.path), true, 'natives')
-        }
-      }))
+  /**
+   * Check whether the version has natives for this platform that haven't been extracted yet
+   * @returns {boolean} Whether getNatives still has to download and extract them
+   */
+  needsNatives() {
+    const nativeDirectory = this.getNativeDirectory()
+    if (!nativeDirectory || !this.getNativeLibraries().length) return false
+
+    // Extraction removes the jars, leaving the native files behind
+    return !fs.existsSync(nativeDirectory) || !fs.readdirSync(nativeDirectory).some(file => !file.endsWith('.jar'))
+  }
+
+  /**
+   * Download and extract native libraries
+   * @returns {Promise<string>} Path to natives directory
+   */
+  async getNatives() {
+    const nativeDirectory = this.getNativeDirectory()
+
+    if (!nativeDirectory) {
+      return this.options.overrides.cwd || this.options.root
+    }
+
+    if (this.needsNatives()) {
+      fs.mkdirSync(nativeDirectory, { recursive: true })
+      const natives = this.getNativeLibraries()
+
+      // Download natives, an interrupted download would leave a directory that counts as extracted
+      try {
+        await this.createQueue('natives').run(natives, (native, onData) =>
+          this.downloadVerified(native.url, nativeDirectory, path.basename(native.path), native, 'natives', onData)
+        )
+      } catch (e) {
+        fs.rmSync(nativeDirectory, { recursive: true, force: true })
+        throw e
+      }
 
       // Extract natives
       const nativeFiles = fs.readdirSync(nativeDirectory).filter(file => file.endsWith('.jar'))
@@ -326,37 +797,28 @@ class Handler {
    * @returns {Promise<Array>} Paths to downloaded libraries
    */
   async downloadToDirectory(directory, libraries, eventName) {
-    const libs = []
-    
-    counter = 0
-    this.client.emit('progress', {
-      type: eventName,
-      task: 0,
-      total: libraries.length
-    })
+    const artifacts = []
+    const seen = new Set()
 
-    await Promise.all(libraries.map(async (lib) => {
-      const downloadObj = lib.downloads ? lib.downloads.artifact : lib
-      if (!downloadObj) return
+    for (const lib of libraries) {
+      const downloadObj = lib.downloads || lib.name ? this.getLibraryArtifact(lib) : lib
+      if (!downloadObj || seen.has(downloadObj.path)) continue
 
+      seen.add(downloadObj.path)
+      artifacts.push(downloadObj)
+    }
+
+    return this.createQueue(eventName).run(artifacts, async (downloadObj, onData) => {
       const libPath = path.join(directory, downloadObj.path)
       const libDir = path.dirname(libPath)
 
-      if (!fs.existsSync(libPath)) {
-        await this.downloadAsync(downloadObj.url, libDir, path.basename(libPath), true, eventName)
+      // Artifacts without a URL are generated locally (e.g. by mod loader installers)
+      if (downloadObj.url) {
+        await this.downloadVerified(downloadObj.url, libDir, path.basename(libPath), downloadObj, eventName, onData)
       }
 
-      libs.push(libPath)
-      counter++
-      
-      this.client.emit('progress', {
-        type: eventName,
-        task: counter,
-        total: libraries.length
-      })
-    }))
-
-    return libs
+      return libPath
+    })
   }
 
   /**
@@ -365,21 +827,30 @@ class Handler {
    */
   async getClasses() {
     const libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
-    
-    const parsed = this.version.libraries.filter(lib => {
-      if (lib.downloads && lib.downloads.artifact && !this.parseRule(lib)) {
-        return true
-      }
-      return false
-    })
-
-    const libs = await this.downloadToDirectory(libraryDirectory, parsed, 'classes')
-    counter = 0
+    const libs = await this.downloadToDirectory(libraryDirectory, this.getClassLibraries(), 'classes')
 
     this.client.emit('debug', '[VoidBeam]: Collected class paths')
     return libs
   }
 
+  /**
+   * Get the libraries on the class path of this platform
+   * @returns {Array<Object>} Libraries
+   */
+  getClassLibraries() {
+    return this.version.libraries.filter(lib => this.getLibraryArtifact(lib) && !this.parseRule(lib))
+  }
+
+  /**
+   * Get class paths without downloading anything, in the same order as getClasses
+   * @returns {Array<string>} Paths to libraries
+   */
+  getLibraryPaths() {
+    const libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
+    const libs = this.getClassLibraries().map(lib => path.join(libraryDirectory, this.getLibraryArtifact(lib).path))
+    return libs.filter((lib, index) => libs.indexOf(lib) === index)
+  }
+
   /**
    * Get launch options and arguments
    * @param {Object} modification - Version modifications
@@ -390,7 +861,7 @@ class Handler {
 
     let args = type.minecraftArguments
       ? type.minecraftArguments.split(' ')
-      : type.arguments.game
+      : type.arguments.game.slice()
 
     const assetRoot = path.resolve(this.options.overrides.assetRoot || path.join(this.options.root, 'assets'))
     const assetPath = this.isLegacy()
@@ -406,7 +877,7 @@ class Handler {
 
     const fields = {
       '${auth_player_name}': this.options.authorization.name,
-      '${version_name}': this.options.version.number,
+      '${version_name}': this.options.overrides.versionName || this.options.version.custom || this.options.version.number,
       '${game_directory}': this.options.overrides.gameDirectory || this.options.root,
       '${assets_root}': assetPath,
       '${assets_index_name}': this.options.overrides.assetIndex || this.version.assetIndex.id,
@@ -418,32 +889,26 @@ class Handler {
       '${resolution_height}': this.options.window ? this.options.window.height : 482
     }
 
+    const quickPlay = this.options.quickPlay || {}
+    Object.assign(fields, {
+      '${quickPlayPath}': quickPlay.path,
+      '${quickPlaySingleplayer}': quickPlay.type === 'singleplayer' ? quickPlay.identifier : undefined,
+      '${quickPlayMultiplayer}': quickPlay.type === 'multiplayer' ? quickPlay.identifier : undefined,
+      '${quickPlayRealms}': quickPlay.type === 'realms' ? quickPlay.identifier : undefined
+    })
+
+    const environment = this.getEnvironment()
+
     // Replace argument variables
     for (let index = 0; index < args.length; index++) {
       if (typeof args[index] === 'object') {
-        if (args[index].rules) {
-          // Handle conditional arguments
-          let shouldInclude = true
-          for (const rule of args[index].rules) {
-            if (rule.action === 'allow') {
-              shouldInclude = false
-              if (rule.os && rule.os.name === this.getOS()) {
-                shouldInclude = true
-              }
-            }
-          }
-          
-          if (shouldInclude && args[index].value) {
-            if (Array.isArray(args[index].value)) {
-              args.splice(index, 1, ...args[index].value)
-            } else {
-              args[index] = args[index].value
-            }
-          } else {
-            args.splice(index, 1)
-            index--
-          }
+        // Handle conditional arguments, expanded values are processed on the next pass
+        if (args[index].value && rules.checkRules(args[index].rules, environment)) {
+          args.splice(index, 1, ...[].concat(args[index].value))
+        } else {
+          args.splice(index, 1)
         }
+        index--
       } else {
         if (Object.keys(fields).includes(args[index])) {
           args[index] = fields[args[index]]
@@ -451,11 +916,11 @@ class Handler {
       }
     }
 
-    // Add window options
+    // Add window options, modern versions pass the resolution through has_custom_resolution
     if (this.options.window) {
       if (this.options.window.fullscreen) {
         args.push('--fullscreen')
-      } else {
+      } else if (!type.arguments || type.minecraftArguments) {
         if (this.options.window.width) args.push('--width', this.options.window.width)
         if (this.options.window.height) args.push('--height', this.options.window.height)
       }
@@ -466,6 +931,64 @@ class Handler {
     return args
   }
 
+  /**
+   * Get JVM arguments from a modern (1.13+) version JSON
+   * @param {Object} paths - Resolved paths
+   * @param {string} paths.natives - Natives directory
+   * @param {string} paths.classPath - Joined class path
+   * @returns {Array<string>} JVM arguments
+   */
+  getJVMArguments({ natives, classPath }) {
+    const { version } = require('../package.json')
+    const separator = this.getOS() === 'windows' ? ';' : ':'
+
+    const fields = {
+      '${natives_directory}': natives,
+      '${launcher_name}': 'voidbeam-core',
+      '${launcher_version}': version,
+      '${classpath}': classPath,
+      '${classpath_separator}': separator,
+      '${library_directory}': path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries')),
+      '${version_name}': this.options.overrides.versionName || this.options.version.custom || this.options.version.number
+    }
+
+    const args = []
+    for (const arg of this.version.arguments.jvm) {
+      if (typeof arg === 'string') {
+        args.push(arg)
+      } else if (this.checkRules(arg.rules)) {
+        args.push(...[].concat(arg.value))
+      }
+    }
+
+    return args.map(arg => arg.replace(/\$\{\w+\}/g, field => fields[field] !== undefined ? fields[field] : field))
+  }
+
+  /**
+   * Evaluate rules of a library or argument against the current launch
+   * @param {Array<Object>} entryRules - Rules to evaluate
+   * @returns {boolean} Whether the entry is allowed
+   */
+  checkRules(entryRules) {
+    return rules.checkRules(entryRules, this.getEnvironment())
+  }
+
+  /**
+   * Get the environment (os, architecture, features) rules are evaluated against
+   * @returns {Object} Rule environment
+   */
+  getEnvironment() {
+    return rules.getEnvironment(this.options, this.getOS())
+  }
+
+  /**
+   * Get current architecture as named in version JSONs
+   * @returns {string} Architecture name
+   */
+  getArch() {
+    return rules.getArch()
+  }
+
   /**
    * Get JVM arguments based on OS
    * @returns {Promise<string>} JVM arguments
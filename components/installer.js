@@ -0,0 +1,138 @@
+const path = require('path')
+const fs = require('fs')
+const Handler = require('./handler')
+const ForgeHandler = require('./forge')
+const EventEmitter = require('events').EventEmitter
+
+const META_URLS = {
+  fabric: 'https://meta.fabricmc.net/v2',
+  quilt: 'https://meta.quiltmc.org/v3'
+}
+
+class Installer extends EventEmitter {
+  /**
+   * Install the Fabric loader for a Minecraft version
+   * @param {Object} options - Installer options
+   * @returns {Promise<string>} Version id to use as version.custom
+   */
+  installFabric(options) {
+    return this.installLoader('fabric', options)
+  }
+
+  /**
+   * Install the Quilt loader for a Minecraft version
+   * @param {Object} options - Installer options
+   * @returns {Promise<string>} Version id to use as version.custom
+   */
+  installQuilt(options) {
+    return this.installLoader('quilt', options)
+  }
+
+  /**
+   * Install a Forge or NeoForge installer jar, running its processors
+   * @param {Object} options - Installer options, options.installer is the path to the installer jar
+   * @returns {Promise<string>} Version id to use as version.custom
+   */
+  async installForge(options) {
+    this.setOptions(options)
+    this.handler = new Handler(this)
+
+    return new ForgeHandler(this).install()
+  }
+
+  /**
+   * Install a Fabric-style loader (Fabric or Quilt) from its meta server
+   * @param {string} loader - Loader type: 'fabric' or 'quilt'
+   * @param {Object} options - Installer options
+   * @returns {Promise<string>} Version id to use as version.custom
+   */
+  async installLoader(loader, options) {
+    if (!META_URLS[loader]) {
+      throw new Error(`Unsupported loader ${loader}`)
+    }
+
+    this.setOptions(options)
+    this.handler = new Handler(this)
+
+    const meta = this.options.overrides.url[loader].replace(/\/$/, '')
+    const gameVersion = this.options.version.number
+    const loaderVersion = this.options.loader.version || await this.getLatestLoader(loader)
+
+    this.emit('debug', `[VoidBeam]: Installing ${loader} loader ${loaderVersion} for ${gameVersion}`)
+
+    const profile = await this.handler.getJson(
+      `${meta}/versions/loader/${encodeURIComponent(gameVersion)}/${encodeURIComponent(loaderVersion)}/profile/json`
+    )
+
+    const versionDirectory = path.join(this.options.root, 'versions', profile.id)
+    fs.mkdirSync(versionDirectory, { recursive: true })
+    fs.writeFileSync(path.join(versionDirectory, `${profile.id}.json`), JSON.stringify(profile, null, 2))
+
+    const libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
+    await this.handler.downloadToDirectory(libraryDirectory, profile.libraries || [], loader)
+
+    this.emit('debug', `[VoidBeam]: Installed ${loader} loader as ${profile.id}`)
+    return profile.id
+  }
+
+  /**
+   * Get the latest stable loader version available for the Minecraft version
+   * @param {string} loader - Loader type: 'fabric' or 'quilt'
+   * @returns {Promise<string>} Loader version
+   */
+  async getLatestLoader(loader) {
+    const versions = await this.getLoaderVersions(loader)
+    const latest = versions.find(entry => entry.stable) || versions[0]
+    if (!latest) {
+      throw new Error(`No ${loader} loader available for ${this.options.version.number}`)
+    }
+    return latest.version
+  }
+
+  /**
+   * List loader versions available for the Minecraft version
+   * @param {string} loader - Loader type: 'fabric' or 'quilt'
+   * @param {Object} [options] - Installer options, defaults to the last used ones
+   * @returns {Promise<Array<Object>>} Loader versions, newest first
+   */
+  async getLoaderVersions(loader, options) {
+    if (options) this.setOptions(options)
+    if (!this.handler || options) this.handler = new Handler(this)
+
+    const meta = this.options.overrides.url[loader].replace(/\/$/, '')
+    const entries = await this.handler.getJson(`${meta}/versions/loader/${encodeURIComponent(this.options.version.number)}`)
+
+    // Quilt does not flag stable builds, its pre-releases carry a suffix instead
+    return entries.map(entry => ({
+      version: entry.loader.version,
+      stable: entry.loader.stable !== undefined ? entry.loader.stable : !entry.loader.version.includes('-')
+    }))
+  }
+
+  /**
+   * Normalize installer options
+   * @param {Object} options - Installer options
+   */
+  setOptions(options) {
+    this.options = { ...options }
+    this.options.root = path.resolve(this.options.root)
+    this.options.version = typeof this.options.version === 'string'
+      ? { number: this.options.version }
+      : { ...this.options.version }
+    this.options.loader = typeof this.options.loader === 'string'
+      ? { version: this.options.loader }
+      : { ...this.options.loader }
+    this.options.overrides = {
+      ...this.options.overrides,
+      url: {
+        meta: 'https://launchermeta.mojang.com',
+        ...META_URLS,
+        ...this.options.overrides
+          ? this.options.overrides.url
+          : undefined
+      }
+    }
+  }
+}
+
+module.exports = Installer
@@ -0,0 +1,217 @@
+const fs = require('fs')
+const path = require('path')
+const { InstanceError, CODES } = require('./errors')
+
+const INSTANCE_FILE = 'instance.json'
+
+// Launch options an instance can store
+const SETTINGS = ['version', 'loader', 'memory', 'javaPath', 'customArgs', 'customLaunchArgs', 'window']
+
+/**
+ * Copy a directory recursively, fs.cpSync needs Node 16.7
+ * @param {string} source - Directory to copy
+ * @param {string} target - Directory to create
+ */
+function copyDirectory(source, target) {
+  fs.mkdirSync(target, { recursive: true })
+  for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+    const from = path.join(source, entry.name)
+    const to = path.join(target, entry.name)
+    if (entry.isDirectory()) {
+      copyDirectory(from, to)
+    } else if (entry.isSymbolicLink()) {
+      fs.symlinkSync(fs.readlinkSync(from), to)
+    } else {
+      fs.copyFileSync(from, to)
+    }
+  }
+}
+
+/**
+ * Manages named game instances under <root>/instances/<name>. Every instance has its own
+ * game directory and instance.json, libraries/, assets/ and versions/ stay shared in the root.
+ */
+class InstanceManager {
+  /**
+   * @param {string} root - Launcher root
+   */
+  constructor(root) {
+    this.root = path.resolve(root)
+    this.directory = path.join(this.root, 'instances')
+  }
+
+  /**
+   * Create an instance
+   * @param {string} name - Instance name, also its directory name
+   * @param {Object} settings - Instance settings: version, loader, memory, javaPath, customArgs, customLaunchArgs, window
+   * @returns {Object} Instance
+   */
+  create(name, settings) {
+    this.checkName(name)
+    if (fs.existsSync(this.getDirectory(name))) {
+      throw new InstanceError(`Instance ${name} already exists`, { instance: name }, CODES.INSTANCE_EXISTS)
+    }
+
+    const instance = this.normalize({ ...settings, name, created: new Date().toISOString(), lastPlayed: null })
+    if (!instance.version.number) {
+      throw new InstanceError(`Instance ${name} needs a version number`, { instance: name }, CODES.INSTANCE_INVALID)
+    }
+
+    fs.mkdirSync(this.getDirectory(name), { recursive: true })
+    return this.write(instance)
+  }
+
+  /**
+   * Get an instance
+   * @param {string} name - Instance name
+   * @returns {Object} Instance
+   */
+  get(name) {
+    this.checkName(name)
+    const file = path.join(this.getDirectory(name), INSTANCE_FILE)
+    if (!fs.existsSync(file)) {
+      throw new InstanceError(`Instance ${name} not found`, { instance: name })
+    }
+
+    try {
+      return this.normalize({ ...JSON.parse(fs.readFileSync(file)), name })
+    } catch (e) {
+      throw new InstanceError(`Instance ${name} has an unreadable ${INSTANCE_FILE}: ${e.message}`, { instance: name, cause: e }, CODES.INSTANCE_INVALID)
+    }
+  }
+
+  /**
+   * List every instance, skipping directories without an instance.json
+   * @returns {Array<Object>} Instances, most recently played first
+   */
+  list() {
+    if (!fs.existsSync(this.directory)) return []
+
+    return fs.readdirSync(this.directory)
+      .filter(name => fs.existsSync(path.join(this.directory, name, INSTANCE_FILE)))
+      .map(name => this.get(name))
+      .sort((a, b) => (b.lastPlayed || b.created || '').localeCompare(a.lastPlayed || a.created || ''))
+  }
+
+  /**
+   * Change the settings of an instance
+   * @param {string} name - Instance name
+   * @param {Object} changes - Settings to replace
+   * @returns {Object} Updated instance
+   */
+  update(name, changes) {
+    return this.write(this.normalize({ ...this.get(name), ...changes, name }))
+  }
+
+  /**
+   * Copy an instance, worlds, mods and configs included
+   * @param {string} name - Instance to copy
+   * @param {string} newName - Name of the copy
+   * @returns {Object} New instance
+   */
+  clone(name, newName) {
+    const instance = this.get(name)
+    this.checkName(newName)
+    if (fs.existsSync(this.getDirectory(newName))) {
+      throw new InstanceError(`Instance ${newName} already exists`, { instance: newName }, CODES.INSTANCE_EXISTS)
+    }
+
+    copyDirectory(this.getDirectory(name), this.getDirectory(newName))
+    return this.write({ ...instance, name: newName, created: new Date().toISOString(), lastPlayed: null })
+  }
+
+  /**
+   * Rename an instance along with its directory
+   * @param {string} name - Current name
+   * @param {string} newName - New name
+   * @returns {Object} Renamed instance
+   */
+  rename(name, newName) {
+    const instance = this.get(name)
+    this.checkName(newName)
+    if (fs.existsSync(this.getDirectory(newName))) {
+      throw new InstanceError(`Instance ${newName} already exists`, { instance: newName }, CODES.INSTANCE_EXISTS)
+    }
+
+    fs.renameSync(this.getDirectory(name), this.getDirectory(newName))
+    return this.write({ ...instance, name: newName })
+  }
+
+  /**
+   * Delete an instance and its game directory
+   * @param {string} name - Instance name
+   */
+  delete(name) {
+    this.get(name)
+    fs.rmSync(this.getDirectory(name), { recursive: true, force: true })
+  }
+
+  /**
+   * Build launch options from an instance, explicitly given options win
+   * @param {string} name - Instance name
+   * @param {Object} options - Launch options
+   * @returns {Object} Launch options
+   */
+  getLaunchOptions(name, options) {
+    const instance = this.get(name)
+    const directory = this.getDirectory(name)
+
+    const launchOptions = { ...options, root: this.root }
+    for (const setting of SETTINGS) {
+      if (launchOptions[setting] === undefined && instance[setting] !== undefined && instance[setting] !== null) {
+        launchOptions[setting] = instance[setting]
+      }
+    }
+    launchOptions.overrides = {
+      gameDirectory: directory,
+      cwd: directory,
+      ...options.overrides
+    }
+
+    return launchOptions
+  }
+
+  /**
+   * Get the game directory of an instance
+   * @param {string} name - Instance name
+   * @returns {string} Instance directory
+   */
+  getDirectory(name) {
+    return path.join(this.directory, name)
+  }
+
+  /**
+   * Make sure a name can be used as a directory name
+   * @param {string} name - Instance name
+   */
+  checkName(name) {
+    if (!name || typeof name !== 'string' || name === '.' || name === '..' || /[\\/:*?"<>|]/.test(name)) {
+      throw new InstanceError(`Invalid instance name ${name}`, { instance: name }, CODES.INSTANCE_INVALID)
+    }
+  }
+
+  /**
+   * Normalize instance settings, accepting version and loader as strings
+   * @param {Object} instance - Instance settings
+   * @returns {Object} Instance
+   */
+  normalize(instance) {
+    return {
+      ...instance,
+      version: typeof instance.version === 'string' ? { number: instance.version } : { ...instance.version },
+      loader: typeof instance.loader === 'string' ? { type: instance.loader } : instance.loader || null
+    }
+  }
+
+  /**
+   * Save an instance to its instance.json
+   * @param {Object} instance - Instance
+   * @returns {Object} Instance
+   */
+  write(instance) {
+    fs.writeFileSync(path.join(this.getDirectory(instance.name), INSTANCE_FILE), JSON.stringify(instance, null, 2))
+    return instance
+  }
+}
+
+module.exports = InstanceManager
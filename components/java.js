@@ -0,0 +1,151 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const child = require('child_process')
+
+const EXECUTABLE = process.platform === 'win32' ? 'java.exe' : 'java'
+
+// Directories holding one JVM per subdirectory
+const JVM_DIRECTORIES = {
+  linux: ['/usr/lib/jvm', '/usr/lib64/jvm', '/usr/java', '/opt/java', '/opt/jdk', '/opt', path.join(os.homedir(), '.sdkman', 'candidates', 'java'), path.join(os.homedir(), '.jdks')],
+  darwin: ['/Library/Java/JavaVirtualMachines', path.join(os.homedir(), 'Library', 'Java', 'JavaVirtualMachines'), path.join(os.homedir(), '.sdkman', 'candidates', 'java')],
+  win32: [
+    'C:\\Program Files\\Java',
+    'C:\\Program Files\\Eclipse Adoptium',
+    'C:\\Program Files\\Microsoft',
+    'C:\\Program Files\\Zulu',
+    'C:\\Program Files (x86)\\Java'
+  ]
+}
+
+/**
+ * Parse the major version out of a Java version string
+ * @param {string} version - Version string, e.g. '1.8.0_382' or '17.0.8'
+ * @returns {number} Major version
+ */
+function parseMajor(version) {
+  const parts = version.split(/[._+-]/)
+  return parseInt(parts[0] === '1' ? parts[1] : parts[0])
+}
+
+/**
+ * Run a Java executable and read its version, vendor and bitness
+ * @param {string} java - Path to Java executable
+ * @returns {Promise<Object>} Java details, rejects when it doesn't run
+ */
+function inspectJava(java) {
+  return new Promise((resolve, reject) => {
+    child.execFile(java, ['-XshowSettings:properties', '-version'], { timeout: 10000 }, (error, stdout, stderr) => {
+      if (error) return reject(error)
+
+      const output = `${stdout}\n${stderr}`
+      const property = name => {
+        const match = output.match(new RegExp(`^\\s*${name.replace(/\./g, '\\.')} = (.*)$`, 'm'))
+        return match ? match[1].trim() : null
+      }
+
+      const quoted = output.match(/version "(.*?)"/)
+      const version = property('java.version') || (quoted ? quoted[1] : null)
+      if (!version) return reject(new Error(`Couldn't read the Java version of ${java}`))
+
+      const model = property('sun.arch.data.model')
+      const arch = property('os.arch')
+      resolve({
+        path: java,
+        version,
+        major: parseMajor(version),
+        vendor: property('java.vendor') || property('java.vm.vendor') || 'Unknown',
+        bits: model ? parseInt(model) : /64/.test(arch || output) ? 64 : 32
+      })
+    })
+  })
+}
+
+/**
+ * List Java executables worth inspecting, without running them
+ * @param {Object} [options] - Discovery options
+ * @param {Array<string>} [options.paths] - Extra Java executables or installation directories
+ * @param {string} [options.root] - Launcher root, its managed runtimes are included
+ * @returns {Array<Object>} Candidate executables with their source
+ */
+function getCandidates(options = {}) {
+  const candidates = []
+  const add = (java, source) => {
+    const resolved = path.resolve(java)
+    if (fs.existsSync(resolved) && !candidates.find(candidate => candidate.path === resolved)) {
+      candidates.push({ path: resolved, source })
+    }
+  }
+  const addHome = (home, source) => {
+    add(path.join(home, 'bin', EXECUTABLE), source)
+    add(path.join(home, 'Contents', 'Home', 'bin', EXECUTABLE), source)
+    add(path.join(home, 'jre.bundle', 'Contents', 'Home', 'bin', EXECUTABLE), source)
+  }
+  const addDirectory = (directory, source) => {
+    if (!fs.existsSync(directory)) return
+    for (const entry of fs.readdirSync(directory)) {
+      addHome(path.join(directory, entry), source)
+    }
+  }
+
+  for (const java of options.paths || []) {
+    if (fs.existsSync(java) && fs.statSync(java).isDirectory()) {
+      addHome(java, 'user')
+    } else {
+      add(java, 'user')
+    }
+  }
+
+  if (process.env.JAVA_HOME) addHome(process.env.JAVA_HOME, 'JAVA_HOME')
+
+  for (const directory of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    add(path.join(directory, EXECUTABLE), 'PATH')
+  }
+
+  if (options.root) addDirectory(path.join(options.root, 'runtime'), 'runtime')
+
+  for (const directory of JVM_DIRECTORIES[process.platform] || JVM_DIRECTORIES.linux) {
+    addDirectory(directory, 'system')
+  }
+
+  return candidates
+}
+
+/**
+ * Discover Java installations and rank them for a required major version.
+ * Compatible installations come first, closest major version and 64-bit preferred.
+ * @param {Object} [options] - Discovery options
+ * @param {Array<string>} [options.paths] - Extra Java executables or installation directories
+ * @param {string} [options.root] - Launcher root, its managed runtimes are included
+ * @param {number} [options.majorVersion] - Minimum major version the game needs
+ * @returns {Promise<Array<Object>>} Ranked Java installations
+ */
+async function findJava(options = {}) {
+  const candidates = getCandidates(options)
+  const found = []
+
+  for (const candidate of candidates) {
+    const details = await inspectJava(candidate.path).catch(() => null)
+    if (details && !found.find(java => fs.realpathSync(java.path) === fs.realpathSync(details.path))) {
+      found.push({ ...details, source: candidate.source })
+    }
+  }
+
+  const required = options.majorVersion || 0
+  return found
+    .map((java, index) => ({ ...java, compatible: java.major >= required, index }))
+    .sort((a, b) =>
+      (b.compatible - a.compatible) ||
+      (a.major - required) - (b.major - required) ||
+      (b.bits - a.bits) ||
+      (a.index - b.index)
+    )
+    .map(({ index, ...java }) => java)
+}
+
+module.exports = {
+  findJava,
+  inspectJava,
+  getCandidates,
+  parseMajor
+}
@@ -1,6 +1,14 @@
 const child = require('child_process')
 const path = require('path')
 const Handler = require('./handler')
+const RuntimeHandler = require('./runtime')
+const AuthlibInjector = require('./authlib')
+const GameProcess = require('./game')
+const Log4jParser = require('./logs')
+const InstanceManager = require('./instances')
+const Installer = require('./installer')
+const javaDiscovery = require('./java')
+const { JavaError, AuthError, InstanceError, MissingFilesError, CODES, toVoidBeamError } = require('./errors')
 const fs = require('fs')
 const EventEmitter = require('events').EventEmitter
 
@@ -8,74 +16,357 @@ class VoidBeamCore extends EventEmitter {
   /**
    * Launch Minecraft with the given options
    * @param {Object} options - Launch options
-   * @returns {Promise<ChildProcess>} Minecraft process
+   * @returns {Promise<ChildProcess>} Minecraft process, null on failure unless options.rejectOnError is set
    */
   async launch(options) {
     try {
-      this.options = { ...options }
-      this.options.root = path.resolve(this.options.root)
-      this.options.overrides = {
-        detached: true,
-        ...this.options.overrides,
-        url: {
-          meta: 'https://launchermeta.mojang.com',
-          resource: 'https://resources.download.minecraft.net',
-          ...this.options.overrides
-            ? this.options.overrides.url
-            : undefined
+      // Nothing is downloaded for an authorization that can't launch
+      const authorization = await this.checkAuthorization(options.authorization)
+      await this.prepare({ ...options, authorization })
+      await this.resolveJava()
+      await this.installFiles()
+
+      const { args } = await this.createArguments({ prefetch: true })
+      this.handler.throwIfAborted()
+      this.emit('arguments', args)
+      this.emit('debug', `[VoidBeam]: Launching with arguments ${args.join(' ')}`)
+      const minecraft = this.startMinecraft(args)
+
+      if (options.instance) {
+        new InstanceManager(options.root).update(options.instance, { lastPlayed: new Date().toISOString() })
+      }
+
+      return minecraft
+    } catch (e) {
+      return this.fail(e, options)
+    }
+  }
+
+  /**
+   * Download everything a version needs (Java runtime, jar, libraries, natives, assets)
+   * without launching it
+   * @param {Object} options - Launch options, authorization isn't needed
+   * @returns {Promise<void>}
+   */
+  async install(options) {
+    try {
+      await this.prepare(options)
+      await this.installFiles()
+      this.emit('debug', `[VoidBeam]: Installed ${this.handler.version.id}`)
+    } catch (e) {
+      throw toVoidBeamError(e)
+    }
+  }
+
+  /**
+   * Build the command that launches an installed version, without downloading or spawning anything.
+   * Fails with a VersionError when the version isn't installed.
+   * @param {Object} options - Launch options
+   * @returns {Promise<Object>} Java executable, arguments and working directory
+   */
+  async buildArguments(options) {
+    try {
+      const authorization = await this.checkAuthorization(options.authorization)
+      await this.prepare({ ...options, authorization }, { download: false })
+      await this.resolveJava()
+      return await this.createArguments()
+    } catch (e) {
+      throw toVoidBeamError(e)
+    }
+  }
+
+  /**
+   * Normalize options and load the version, merged with its custom version when set
+   * @param {Object} options - Launch options
+   * @param {Object} [prepareOptions] - Preparation options
+   * @param {boolean} [prepareOptions.download] - Whether the version JSON and managed Java runtime may be downloaded
+   * @returns {Promise<Object>} Version data
+   */
+  async prepare(options, { download = true } = {}) {
+    if (options.offline) download = false
+    if (options.instance) options = await this.resolveInstance(options, download)
+
+    this.setOptions(options)
+    this.handler = new Handler(this)
+    this.handler.throwIfAborted()
+
+    this.printVersion()
+
+    this.createRootDirectory()
+    this.createGameDirectory()
+
+    // Get version manifest and files
+    let versionFile = await this.handler.getVersion(download)
+    if (versionFile instanceof Error) throw versionFile
+
+    // Merge custom (modded) version on top of the vanilla one
+    if (this.options.version.custom) {
+      this.emit('debug', `[VoidBeam]: Detected custom version ${this.options.version.custom}`)
+      versionFile = await this.handler.getCustomVersion()
+      if (versionFile instanceof Error) throw versionFile
+    }
+
+    // Use the Java runtime the version asks for unless a Java path is given
+    if (!this.options.javaPath) {
+      const runtime = new RuntimeHandler(this)
+      if (download) {
+        try {
+          this.options.javaPath = await runtime.getJava() || undefined
+        } catch (e) {
+          if (e.code === CODES.ABORTED) throw e
+          this.emit('debug', `[VoidBeam]: Couldn't install Java runtime due to ${e.message}, using system Java`)
         }
+      } else {
+        this.options.javaPath = runtime.getInstalledJava() || undefined
+      }
+    }
+
+    this.options.mcPath = this.options.overrides.minecraftJar || path.join(this.options.directory, `${this.options.version.number}.jar`)
+
+    return versionFile
+  }
+
+  /**
+   * Build launch options from the instance named by options.instance, installing its loader the first time
+   * @param {Object} options - Launch options
+   * @param {boolean} download - Whether the loader may be installed
+   * @returns {Promise<Object>} Launch options
+   */
+  async resolveInstance(options, download) {
+    const instances = new InstanceManager(options.root)
+    let instance = instances.get(options.instance)
+
+    if (instance.loader && !instance.version.custom) {
+      if (!download) {
+        throw new InstanceError(`The ${instance.loader.type} loader of instance ${instance.name} isn't installed yet`, {
+          instance: instance.name
+        }, CODES.INSTANCE_INVALID)
       }
 
-      this.handler = new Handler(this)
+      const custom = await this.installLoader(instance, options)
+      instance = instances.update(instance.name, { version: { ...instance.version, custom } })
+    }
+
+    this.emit('debug', `[VoidBeam]: Using instance ${instance.name} in ${instances.getDirectory(instance.name)}`)
+    return instances.getLaunchOptions(instance.name, options)
+  }
+
+  /**
+   * Install the mod loader an instance asks for
+   * @param {Object} instance - Instance with a loader
+   * @param {Object} options - Launch options
+   * @returns {Promise<string>} Version id to use as version.custom
+   */
+  async installLoader(instance, options) {
+    const installer = new Installer()
+    installer.on('debug', (message) => this.emit('debug', message))
+    installer.on('progress', (progress) => this.emit('progress', progress))
+
+    const installerOptions = {
+      root: options.root,
+      version: instance.version.number,
+      loader: { version: instance.loader.version },
+      installer: instance.loader.installer,
+      javaPath: options.javaPath || instance.javaPath,
+      overrides: options.overrides,
+      signal: options.signal
+    }
+
+    return ['forge', 'neoforge'].includes(instance.loader.type)
+      ? installer.installForge(installerOptions)
+      : installer.installLoader(instance.loader.type, installerOptions)
+  }
+
+  /**
+   * Make sure the authorization can be used to launch
+   * @param {Object|Promise<Object>} authorization - User returned by the authenticator
+   * @returns {Promise<Object>} Resolved authorization
+   */
+  async checkAuthorization(authorization) {
+    authorization = await Promise.resolve(authorization)
+    if (!authorization || !authorization.name || !authorization.access_token) {
+      throw new AuthError('A valid authorization with a name and access_token is required to launch')
+    }
+    return authorization
+  }
+
+  /**
+   * Download the files of the prepared version
+   * @returns {Promise<void>}
+   */
+  async installFiles() {
+    if (this.options.offline) return this.checkFiles()
+
+    // Download natives
+    await this.handler.getNatives()
+
+    // Download jar if it is missing or corrupt
+    await this.handler.getJar()
+
+    // Download libraries
+    await this.handler.getClasses()
 
-      this.printVersion()
+    // Download authlib-injector for accounts of custom Yggdrasil servers, install() may be given a pending authorization
+    this.options.authorization = await Promise.resolve(this.options.authorization)
+    const authlib = new AuthlibInjector(this)
+    if (authlib.getServer()) await authlib.getJar()
 
-      // Check Java installation
-      const java = await this.handler.checkJava(this.options.javaPath || 'java')
-      if (!java.run) {
-        this.emit('debug', `[VoidBeam]: Couldn't start Minecraft due to: ${java.message}`)
-        this.emit('close', 1)
-        return null
+    // Download the version's logging configuration, or one patching log4j for older versions without it
+    const customLog4j = (this.options.customArgs || []).find(arg => arg.includes('Dlog4j.configurationFile'))
+    const logging = customLog4j ? null : await this.handler.getLoggingFile()
+    const log4j = !customLog4j && !logging && this.getLog4jConfig()
+    if (log4j) {
+      const configPath = path.resolve(this.options.overrides.cwd || this.options.root)
+      await this.handler.downloadAsync(log4j.url, configPath, log4j.name, true, 'log4j')
+    }
+
+    // Download assets
+    this.emit('debug', '[VoidBeam]: Attempting to download assets')
+    await this.handler.getAssets()
+  }
+
+  /**
+   * Make sure every file installFiles would download is on disk, for offline launches
+   * @returns {Promise<void>}
+   */
+  async checkFiles() {
+    const missing = this.handler.getMissingFiles()
+
+    const authlib = new AuthlibInjector(this)
+    if (authlib.getServer()) {
+      try {
+        authlib.getInstalledJar()
+      } catch (e) {
+        missing.push(...e.missing)
       }
+    }
 
-      this.createRootDirectory()
-      this.createGameDirectory()
+    const customLog4j = (this.options.customArgs || []).find(arg => arg.includes('Dlog4j.configurationFile'))
+    const log4j = !customLog4j && !this.handler.getLoggingConfig() && this.getLog4jConfig()
+    if (log4j) {
+      const file = path.join(path.resolve(this.options.overrides.cwd || this.options.root), log4j.name)
+      if (!fs.existsSync(file)) missing.push({ type: 'log4j', file, url: log4j.url })
+    }
 
-      // Set up version directory
-      const directory = this.options.overrides.directory || path.join(this.options.root, 'versions', this.options.version.number)
-      this.options.directory = directory
+    if (missing.length) {
+      throw new MissingFilesError(`${missing.length} files of ${this.handler.version.id} are missing, install it before launching offline`, {
+        missing
+      })
+    }
+    this.emit('debug', `[VoidBeam]: Every file of ${this.handler.version.id} is installed`)
+  }
 
-      // Get version manifest and files
-      const versionFile = await this.handler.getVersion()
-      if (versionFile instanceof Error) {
-        this.emit('debug', `[VoidBeam]: ${versionFile.message}`)
-        this.emit('close', 1)
-        return null
+  /**
+   * Get the log4j configuration patching CVE-2021-44228 for versions older than 1.17
+   * @returns {Object|null} Configuration URL and file name
+   */
+  getLog4jConfig() {
+    const minor = parseInt(this.handler.version.id.split('.')[1])
+    if (minor >= 17) return null
+    if (minor >= 12) {
+      return {
+        url: 'https://launcher.mojang.com/v1/objects/02937d122c86ce73319ef9975b58896fc1b491d1/log4j2_112-116.xml',
+        name: 'log4j2_112-116.xml'
+      }
+    }
+    if (minor >= 7) {
+      return {
+        url: 'https://launcher.mojang.com/v1/objects/dd2b723346a8dcd48e7f4d245f6bf09e98db9696/log4j2_17-111.xml',
+        name: 'log4j2_17-111.xml'
       }
+    }
+    return null
+  }
+
+  /**
+   * Check the Java to use, switching to a compatible one when it's too old for the version
+   * @returns {Promise<string>} Path to the Java executable
+   */
+  async resolveJava() {
+    const versionFile = this.handler.version
+
+    // Check Java installation
+    const java = await this.handler.checkJava(this.options.javaPath || 'java')
+    if (!java.run) {
+      throw new JavaError(`Couldn't run Java at ${this.options.javaPath || 'java'}: ${java.message.message || java.message}`, {
+        path: this.options.javaPath || 'java',
+        cause: java.message
+      })
+    }
 
-      const mcPath = this.options.overrides.minecraftJar || path.join(directory, `${this.options.version.number}.jar`)
-      this.options.mcPath = mcPath
+    // Newer versions crash on an older Java, look for a compatible one instead
+    const required = versionFile.javaVersion && versionFile.javaVersion.majorVersion
+    if (required && java.major < required) {
+      this.emit('debug', `[VoidBeam]: Java ${java.major} is too old for ${versionFile.id}, which needs Java ${required}`)
 
-      // Download natives
-      const nativePath = await this.handler.getNatives()
+      const candidates = this.options.javaAutoSelect === false
+        ? []
+        : await javaDiscovery.findJava({ paths: this.options.javaSearchPaths, root: this.options.root, majorVersion: required })
+      const compatible = candidates.find(candidate => candidate.compatible)
 
-      // Download jar if it doesn't exist
-      if (!fs.existsSync(mcPath)) {
-        this.emit('debug', '[VoidBeam]: Attempting to download Minecraft version jar')
-        await this.handler.getJar()
+      if (!compatible) {
+        throw new JavaError(`Java ${required} or newer is required to launch ${versionFile.id}, found Java ${java.major} at ${java.path}`, {
+          path: java.path,
+          required,
+          found: java.major
+        }, CODES.JAVA_INCOMPATIBLE)
       }
 
-      // Set up JVM arguments
-      const args = []
-      let jvm = [
+      this.emit('debug', `[VoidBeam]: Using Java ${compatible.version} (${compatible.vendor}) found at ${compatible.path}`)
+      this.options.javaPath = compatible.path
+    }
+
+    return this.options.javaPath || 'java'
+  }
+
+  /**
+   * Build the launch command of the prepared version from the files on disk
+   * @param {Object} [argumentOptions] - Argument options
+   * @param {boolean} [argumentOptions.prefetch] - Whether authlib-injector's server metadata may be fetched
+   * @returns {Promise<Object>} Java executable, arguments and working directory
+   */
+  async createArguments({ prefetch = false } = {}) {
+    const versionFile = this.handler.version
+    const directory = this.options.directory
+    const mcPath = this.options.mcPath
+
+    // Natives are extracted by install, 1.19+ extracts its own into the working directory
+    const nativePath = this.handler.getNativeDirectory() || this.options.overrides.cwd || this.options.root
+
+    // Get class paths
+    const classes = this.options.overrides.classes || this.handler.cleanUp(this.handler.getLibraryPaths())
+    const separator = this.handler.getOS() === 'windows' ? ';' : ':'
+    
+    this.emit('debug', `[VoidBeam]: Using ${separator} to separate class paths`)
+
+    // Build class path string
+    const jar = fs.existsSync(mcPath)
+      ? `${separator}${mcPath}`
+      : `${separator}${path.join(directory, `${this.options.version.number}.jar`)}`
+    const classPath = `${classes.join(separator)}${jar}`
+
+    // Set up JVM arguments
+    const args = []
+    let jvm = [
+      `-Xmx${this.handler.getMemory()[0]}`,
+      `-Xms${this.handler.getMemory()[1]}`
+    ]
+    const classPaths = []
+
+    if (versionFile.arguments && versionFile.arguments.jvm) {
+      // Modern version JSONs declare their own JVM arguments
+      jvm = jvm.concat(this.handler.getJVMArguments({ natives: nativePath, classPath }))
+      if (!versionFile.arguments.jvm.includes('${classpath}')) {
+        classPaths.push('-cp', classPath)
+      }
+    } else {
+      jvm = [
         '-XX:-UseAdaptiveSizePolicy',
         '-XX:-OmitStackTraceInFastThrow',
         '-Dfml.ignorePatchDiscrepancies=true',
         '-Dfml.ignoreInvalidMinecraftCertificates=true',
-        `-Djava.library.path=${nativePath}`,
-        `-Xmx${this.handler.getMemory()[0]}`,
-        `-Xms${this.handler.getMemory()[1]}`
-      ]
+        `-Djava.library.path=${nativePath}`
+      ].concat(jvm)
 
       // Add OS-specific JVM arguments
       if (this.handler.getOS() === 'osx') {
@@ -86,73 +377,240 @@ class VoidBeamCore extends EventEmitter {
         jvm.push(await this.handler.getJVM())
       }
 
-      // Add custom JVM arguments
-      if (this.options.customArgs) {
-        jvm = jvm.concat(this.options.customArgs)
-      }
+      classPaths.push('-cp', classPath)
+    }
+    classPaths.push(versionFile.mainClass)
 
-      // Add log4j configuration for security
-      if (parseInt(versionFile.id.split('.')[1]) < 17) {
-        if (!jvm.find(arg => arg.includes('Dlog4j.configurationFile'))) {
-          const configPath = path.resolve(this.options.overrides.cwd || this.options.root)
-          const intVersion = parseInt(versionFile.id.split('.')[1])
-          
-          if (intVersion >= 12) {
-            await this.handler.downloadAsync(
-              'https://launcher.mojang.com/v1/objects/02937d122c86ce73319ef9975b58896fc1b491d1/log4j2_112-116.xml',
-              configPath, 'log4j2_112-116.xml', true, 'log4j'
-            )
-            jvm.push('-Dlog4j.configurationFile=log4j2_112-116.xml')
-          } else if (intVersion >= 7) {
-            await this.handler.downloadAsync(
-              'https://launcher.mojang.com/v1/objects/dd2b723346a8dcd48e7f4d245f6bf09e98db9696/log4j2_17-111.xml',
-              configPath, 'log4j2_17-111.xml', true, 'log4j'
-            )
-            jvm.push('-Dlog4j.configurationFile=log4j2_17-111.xml')
-          }
-        }
-      }
+    // Add custom JVM arguments
+    if (this.options.customArgs) {
+      jvm = jvm.concat(this.options.customArgs)
+    }
 
-      // Add log4j security fix for newer versions
-      if (parseInt(versionFile.id.split('.')[1]) === 18 && !parseInt(versionFile.id.split('.')[2])) {
-        jvm.push('-Dlog4j2.formatMsgNoLookups=true')
-      }
-      if (parseInt(versionFile.id.split('.')[1]) === 17) {
-        jvm.push('-Dlog4j2.formatMsgNoLookups=true')
+    // Point log4j at the configuration downloaded by install
+    this.logFormat = 'text'
+    if (!jvm.find(arg => arg.includes('Dlog4j.configurationFile'))) {
+      const logging = this.handler.getLoggingConfig()
+      const log4j = this.getLog4jConfig()
+      if (logging) {
+        jvm.push(logging.argument)
+        if (logging.type === 'log4j2-xml') this.logFormat = 'xml'
+      } else if (log4j) {
+        jvm.push(`-Dlog4j.configurationFile=${log4j.name}`)
       }
+    }
+
+    // Let a custom Yggdrasil server validate sessions and serve skins
+    const authlib = new AuthlibInjector(this)
+    const server = authlib.getServer()
+    if (server) jvm = jvm.concat(await authlib.getArguments(server, prefetch))
 
-      // Get class paths
-      const classes = this.options.overrides.classes || this.handler.cleanUp(await this.handler.getClasses())
-      const classPaths = ['-cp']
-      const separator = this.handler.getOS() === 'windows' ? ';' : ':'
-      
-      this.emit('debug', `[VoidBeam]: Using ${separator} to separate class paths`)
-
-      // Build class path string
-      const jar = fs.existsSync(mcPath)
-        ? `${separator}${mcPath}`
-        : `${separator}${path.join(directory, `${this.options.version.number}.jar`)}`
-      
-      classPaths.push(`${classes.join(separator)}${jar}`)
-      classPaths.push(versionFile.mainClass)
-
-      // Download assets
-      this.emit('debug', '[VoidBeam]: Attempting to download assets')
+    // Add log4j security fix for newer versions
+    if (parseInt(versionFile.id.split('.')[1]) === 18 && !parseInt(versionFile.id.split('.')[2])) {
+      jvm.push('-Dlog4j2.formatMsgNoLookups=true')
+    }
+    if (parseInt(versionFile.id.split('.')[1]) === 17) {
+      jvm.push('-Dlog4j2.formatMsgNoLookups=true')
+    }
+
+    // Get launch arguments
+    const launchOptions = await this.handler.getLaunchOptions(null)
+
+    // Combine all arguments
+    const launchArguments = args.concat(jvm, classPaths, launchOptions)
+
+    return {
+      java: this.options.javaPath || 'java',
+      args: launchArguments,
+      cwd: this.options.overrides.cwd || this.options.root
+    }
+  }
+
+  /**
+   * Report a failed launch: 'error' event (when listened to) and 'close' with 1
+   * @param {Error} e - Failure
+   * @param {Object} [options] - Launch options, options.rejectOnError rethrows the typed error
+   * @returns {null} Nothing was launched
+   */
+  fail(e, options) {
+    const error = toVoidBeamError(e)
+
+    // Cancelling is up to the caller, it isn't reported as an error
+    if (error.code === CODES.ABORTED) {
+      this.emit('debug', '[VoidBeam]: Launch aborted')
+      this.emit('close', 1)
+      throw error
+    }
+    this.emit('debug', `[VoidBeam]: Failed to start due to ${error.code}: ${error.message}, closing...`)
+
+    // Emitting 'error' without a listener would throw
+    if (this.listenerCount('error')) this.emit('error', error)
+    this.emit('close', 1)
+
+    if (options && options.rejectOnError) throw error
+    return null
+  }
+
+  /**
+   * Check the files of an installed version without launching it
+   * @param {Object} options - Launch options, options.fix downloads missing and corrupt files again
+   * @returns {Promise<Object>} Repair report
+   */
+  async repair(options) {
+    if (options.instance) options = new InstanceManager(options.root).getLaunchOptions(options.instance, options)
+
+    this.setOptions(options)
+    this.handler = new Handler(this)
+
+    const report = {
+      version: this.options.version.custom || this.options.version.number,
+      checked: 0,
+      missing: [],
+      corrupt: [],
+      fixed: false
+    }
+
+    const versionJsonPath = this.options.overrides.versionJson || path.join(this.options.directory, `${this.options.version.number}.json`)
+    if (!fs.existsSync(versionJsonPath) && !this.options.fix) {
+      report.missing.push({ type: 'version', file: versionJsonPath })
+      return report
+    }
+
+    // Only a fix may fetch a version JSON that is unreadable
+    let versionFile = await this.handler.getVersion(!!this.options.fix)
+    if (versionFile instanceof Error && versionFile.code === CODES.VERSION_INVALID && !this.options.fix) {
+      report.corrupt.push({ type: 'version', file: versionFile.file })
+      return report
+    }
+    if (versionFile instanceof Error) throw versionFile
+    if (this.options.version.custom) {
+      versionFile = await this.handler.getCustomVersion()
+      if (versionFile instanceof Error) throw versionFile
+    }
+
+    const damaged = await this.findDamagedFiles()
+    report.checked = damaged.checked
+    report.missing = damaged.missing
+    report.corrupt = damaged.corrupt
+
+    this.emit('debug', `[VoidBeam]: Checked ${report.checked} files, ${report.missing.length} missing, ${report.corrupt.length} corrupt`)
+
+    if (this.options.fix) {
+      // Corrupt files can have the expected size, which is all the downloads check on existing files
+      for (const entry of report.corrupt) fs.rmSync(entry.file, { force: true })
+
+      // Downloading the asset index again can reveal objects that weren't listed before
+      await this.handler.getJar()
+      await this.handler.getNatives()
+      await this.handler.getClasses()
+      await this.handler.getLoggingFile()
       await this.handler.getAssets()
 
-      // Get launch arguments
-      const launchOptions = await this.handler.getLaunchOptions(null)
+      const remaining = await this.findDamagedFiles()
+      report.fixed = !remaining.missing.length && !remaining.corrupt.length
+      this.emit('debug', report.fixed
+        ? '[VoidBeam]: Repaired installation'
+        : `[VoidBeam]: ${remaining.missing.length} files still missing and ${remaining.corrupt.length} still corrupt after repairing`)
+    }
+
+    return report
+  }
+
+  /**
+   * Check every installation file of the prepared version against its size and sha1
+   * @returns {Promise<Object>} Number of checked files, missing and corrupt entries
+   */
+  async findDamagedFiles() {
+    const result = { checked: 0, missing: [], corrupt: [] }
+
+    const files = this.handler.getInstallationFiles()
+    for (let index = 0; index < files.length; index++) {
+      const entry = files[index]
+      if (!fs.existsSync(entry.file)) {
+        result.missing.push(entry)
+      } else if (!await this.handler.verifyFile(entry.file, entry, this.options.verify !== 'size')) {
+        result.corrupt.push(entry)
+        this.emit('corrupt', { file: entry.file, type: entry.type, url: entry.url, sha1: entry.sha1, size: entry.size })
+      }
 
-      // Combine all arguments
-      const launchArguments = args.concat(jvm, classPaths, launchOptions)
-      this.emit('arguments', launchArguments)
-      this.emit('debug', `[VoidBeam]: Launching with arguments ${launchArguments.join(' ')}`)
+      result.checked++
+      this.emit('progress', {
+        type: 'repair',
+        task: index + 1,
+        total: files.length
+      })
+    }
+
+    if (this.handler.needsNatives()) {
+      result.missing.push({ type: 'natives', file: this.handler.getNativeDirectory() })
+    }
+
+    return result
+  }
 
-      return this.startMinecraft(launchArguments)
+  /**
+   * List the versions of the version manifest and the ones installed in versions/
+   * @param {Object} options - Options with root, and optionally type, refresh, cache and overrides
+   * @param {string|Array<string>} [options.type] - Version types to keep: release, snapshot, old_beta, old_alpha
+   * @param {boolean} [options.refresh] - Ask the server even when the cached manifest is recent
+   * @returns {Promise<Object>} Latest release and snapshot, manifest versions and installed versions.
+   * Without a manifest, latest is null and only installed versions are listed.
+   */
+  async getVersions(options) {
+    this.setOptions(options)
+    this.handler = new Handler(this)
+
+    const types = options.type ? [].concat(options.type) : null
+    const matches = version => !types || types.includes(version.type)
+
+    const installed = this.handler.getInstalledVersions()
+    const installedIds = new Set(installed.map(version => version.id))
+
+    // Installed versions are listed even without a manifest
+    let manifest
+    try {
+      manifest = await this.handler.getManifest(options.refresh)
     } catch (e) {
-      this.emit('debug', `[VoidBeam]: Failed to start due to ${e}, closing...`)
-      this.emit('close', 1)
-      return null
+      if (e.code === CODES.ABORTED) throw e
+      this.emit('debug', `[VoidBeam]: ${e.message}, listing installed versions only`)
+      return { latest: null, versions: [], installed: installed.filter(matches) }
+    }
+
+    return {
+      latest: manifest.latest,
+      versions: manifest.versions.filter(matches).map(version => ({
+        id: version.id,
+        type: version.type,
+        url: version.url,
+        time: version.time,
+        releaseTime: version.releaseTime,
+        installed: installedIds.has(version.id)
+      })),
+      installed: installed.filter(matches)
+    }
+  }
+
+  /**
+   * Normalize launch options
+   * @param {Object} options - Launch options
+   */
+  setOptions(options) {
+    this.options = { ...options }
+    this.options.root = path.resolve(this.options.root)
+    this.options.overrides = {
+      detached: true,
+      ...this.options.overrides,
+      url: {
+        meta: 'https://launchermeta.mojang.com',
+        resource: 'https://resources.download.minecraft.net',
+        ...this.options.overrides
+          ? this.options.overrides.url
+          : undefined
+      }
+    }
+
+    // Set up version directory
+    if (this.options.version) {
+      this.options.directory = this.options.overrides.directory || path.join(this.options.root, 'versions', this.options.version.number)
     }
   }
 
@@ -191,7 +649,7 @@ class VoidBeamCore extends EventEmitter {
   }
 
   /**
-   * Start the Minecraft process
+   * Start the Minecraft process, tracked as this.game
    * @param {Array<string>} launchArguments - Arguments to launch Minecraft with
    * @returns {ChildProcess} Minecraft process
    */
@@ -205,9 +663,21 @@ class VoidBeamCore extends EventEmitter {
       }
     )
 
-    minecraft.stdout.on('data', (data) => this.emit('data', data.toString('utf-8')))
+    if (this.logFormat === 'xml') {
+      // Log events become 'log' events, anything printed around them stays 'data'
+      const parser = new Log4jParser((event) => this.emit('log', event), (text) => this.emit('data', text))
+      minecraft.stdout.on('data', (data) => parser.write(data))
+      minecraft.stdout.on('end', () => parser.end())
+    } else {
+      minecraft.stdout.on('data', (data) => this.emit('data', data.toString('utf-8')))
+    }
     minecraft.stderr.on('data', (data) => this.emit('data', data.toString('utf-8')))
     minecraft.on('close', (code) => this.emit('close', code))
+
+    this.game = new GameProcess(this, minecraft, {
+      gameDirectory: this.options.overrides.gameDirectory || this.options.root,
+      detached: this.options.overrides.detached
+    })
     
     return minecraft
   }
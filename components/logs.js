@@ -0,0 +1,123 @@
+const { StringDecoder } = require('string_decoder')
+
+const EVENT_START = '<log4j:Event'
+const EVENT_END = '</log4j:Event>'
+
+const ENTITIES = { '&lt;': '<', '&gt;': '>', '&amp;': '&', '&quot;': '"', '&apos;': "'" }
+
+/**
+ * Decode XML entities
+ * @param {string} text - Escaped text
+ * @returns {string} Decoded text
+ */
+function decode(text) {
+  return text.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi, entity => {
+    if (ENTITIES[entity]) return ENTITIES[entity]
+    return String.fromCodePoint(entity[2] === 'x' || entity[2] === 'X'
+      ? parseInt(entity.slice(3, -1), 16)
+      : parseInt(entity.slice(2, -1)))
+  })
+}
+
+/**
+ * Read the text of a child element, either CDATA or escaped
+ * @param {string} xml - Event XML
+ * @param {string} name - Element name, e.g. 'log4j:Message'
+ * @returns {string|null} Element text
+ */
+function readElement(xml, name) {
+  const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`))
+  if (!match) return null
+
+  const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/)
+  return cdata ? cdata[1] : decode(match[1])
+}
+
+/**
+ * Parse one <log4j:Event> element
+ * @param {string} xml - Event XML
+ * @returns {Object} Log event
+ */
+function parseEvent(xml) {
+  const attributes = {}
+  const tag = xml.substring(0, xml.indexOf('>'))
+  for (const [, name, value] of tag.matchAll(/(\w+)="([^"]*)"/g)) {
+    attributes[name] = decode(value)
+  }
+
+  return {
+    level: attributes.level || null,
+    thread: attributes.thread || null,
+    logger: attributes.logger || null,
+    timestamp: attributes.timestamp ? parseInt(attributes.timestamp) : null,
+    message: readElement(xml, 'log4j:Message') || '',
+    throwable: readElement(xml, 'log4j:Throwable')
+  }
+}
+
+/**
+ * Streaming parser for the XML events written by the log4j2-xml logging configuration.
+ * Output between events (e.g. before log4j starts) is passed through as text.
+ */
+class Log4jParser {
+  /**
+   * @param {Function} onEvent - Called with every parsed log event
+   * @param {Function} [onText] - Called with output that isn't part of an event
+   */
+  constructor(onEvent, onText) {
+    this.onEvent = onEvent
+    this.onText = onText || (() => {})
+    this.buffer = ''
+    // Characters can be split across chunks
+    this.decoder = new StringDecoder('utf-8')
+  }
+
+  /**
+   * Feed a chunk of output
+   * @param {Buffer|string} chunk - Output chunk
+   */
+  write(chunk) {
+    this.buffer += typeof chunk === 'string' ? chunk : this.decoder.write(chunk)
+
+    for (;;) {
+      const start = this.buffer.indexOf(EVENT_START)
+      if (start === -1) {
+        // Hold back what could be the beginning of the next event
+        const partial = this.buffer.lastIndexOf('<')
+        const keep = partial !== -1 && EVENT_START.startsWith(this.buffer.substring(partial)) ? partial : this.buffer.length
+        this.text(this.buffer.substring(0, keep))
+        this.buffer = this.buffer.substring(keep)
+        return
+      }
+
+      this.text(this.buffer.substring(0, start))
+      this.buffer = this.buffer.substring(start)
+
+      const end = this.buffer.indexOf(EVENT_END)
+      if (end === -1) return
+
+      this.onEvent(parseEvent(this.buffer.substring(0, end + EVENT_END.length)))
+      this.buffer = this.buffer.substring(end + EVENT_END.length)
+    }
+  }
+
+  /**
+   * Flush whatever is left once the output ended
+   */
+  end() {
+    this.text(this.buffer + this.decoder.end())
+    this.buffer = ''
+  }
+
+  /**
+   * Pass through output between events, skipping the whitespace separating them
+   * @param {string} text - Output text
+   */
+  text(text) {
+    if (text.trim()) this.onText(text)
+  }
+}
+
+Log4jParser.parseEvent = parseEvent
+
+module.exports = Log4jParser
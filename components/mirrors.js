@@ -0,0 +1,69 @@
+/**
+ * Mirror presets, mapping official URL prefixes to their mirror
+ */
+const PRESETS = {
+  bmclapi: [
+    { from: 'https://launchermeta.mojang.com', to: 'https://bmclapi2.bangbang93.com' },
+    { from: 'https://launcher.mojang.com', to: 'https://bmclapi2.bangbang93.com' },
+    { from: 'https://piston-meta.mojang.com', to: 'https://bmclapi2.bangbang93.com' },
+    { from: 'https://piston-data.mojang.com', to: 'https://bmclapi2.bangbang93.com' },
+    { from: 'https://resources.download.minecraft.net', to: 'https://bmclapi2.bangbang93.com/assets' },
+    { from: 'https://libraries.minecraft.net', to: 'https://bmclapi2.bangbang93.com/maven' },
+    { from: 'https://maven.minecraftforge.net', to: 'https://bmclapi2.bangbang93.com/maven' },
+    { from: 'https://files.minecraftforge.net/maven', to: 'https://bmclapi2.bangbang93.com/maven' },
+    { from: 'https://maven.neoforged.net/releases', to: 'https://bmclapi2.bangbang93.com/maven' },
+    { from: 'https://maven.fabricmc.net', to: 'https://bmclapi2.bangbang93.com/maven' },
+    { from: 'https://meta.fabricmc.net', to: 'https://bmclapi2.bangbang93.com/fabric-meta' }
+  ]
+}
+
+/**
+ * Resolve the mirror list from overrides, expanding preset names
+ * @param {string|Array<Object|string>} mirrors - Preset name or list of { from, to } mappings and preset names
+ * @returns {Array<Object>} Mappings
+ */
+function getMappings(mirrors) {
+  if (!mirrors) return []
+
+  return [].concat(mirrors).reduce((mappings, mirror) => {
+    if (typeof mirror === 'string') {
+      if (!PRESETS[mirror]) throw new Error(`Unknown mirror preset ${mirror}`)
+      return mappings.concat(PRESETS[mirror])
+    }
+    return mappings.concat([].concat(mirror.to).map(to => ({ from: mirror.from, to })))
+  }, [])
+}
+
+/**
+ * Get the URLs to try for a resource, in order: rewrite callback results,
+ * matching mirrors, then the original URL
+ * @param {string} url - Original URL
+ * @param {Object} overrides - Launch option overrides
+ * @param {string|Array<Object|string>} [overrides.mirrors] - Mirror mappings or preset names
+ * @param {Function} [overrides.rewriteUrl] - Callback returning a URL or list of URLs to try first
+ * @returns {Array<string>} Candidate URLs
+ */
+function getCandidates(url, overrides) {
+  const candidates = []
+
+  if (overrides.rewriteUrl) {
+    const rewritten = overrides.rewriteUrl(url)
+    if (rewritten) candidates.push(...[].concat(rewritten))
+  }
+
+  for (const mapping of getMappings(overrides.mirrors)) {
+    const from = mapping.from.replace(/\/$/, '')
+    if (url === from || url.startsWith(`${from}/`)) {
+      candidates.push(`${mapping.to.replace(/\/$/, '')}${url.substring(from.length)}`)
+    }
+  }
+
+  candidates.push(url)
+  return candidates.filter((candidate, index) => candidates.indexOf(candidate) === index)
+}
+
+module.exports = {
+  PRESETS,
+  getMappings,
+  getCandidates
+}
@@ -0,0 +1,114 @@
+// Downloads running at once unless overrides.download.concurrency says otherwise
+const CONCURRENCY = 8
+
+/**
+ * Runs the downloads of one phase (assets, libraries, natives...) with a bounded
+ * concurrency, tracking files and bytes for 'progress' and 'download-status' events
+ */
+class DownloadQueue {
+  /**
+   * @param {Object} client - Event emitter receiving progress events
+   * @param {string} type - Phase name used as the event type
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.concurrency] - Maximum downloads running at once
+   * @param {number} [options.interval] - Minimum time between byte-level status events in ms
+   */
+  constructor(client, type, options = {}) {
+    this.client = client
+    this.type = type
+    this.concurrency = Math.max(1, options.concurrency || CONCURRENCY)
+    this.interval = options.interval !== undefined ? options.interval : 250
+  }
+
+  /**
+   * Run a worker over every item. Workers receive a callback to report received bytes.
+   * @param {Array<Object>} items - Items to process, an optional size property feeds the byte totals
+   * @param {Function} worker - async (item, onData) => result
+   * @returns {Promise<Array>} Worker results in item order
+   */
+  async run(items, worker) {
+    this.task = 0
+    this.total = items.length
+    this.bytes = 0
+    this.received = 0
+    this.totalBytes = items.reduce((sum, item) => sum + (item.size || 0), 0)
+    this.start = Date.now()
+    this.lastStatus = 0
+
+    const results = new Array(items.length)
+    let next = 0
+    let failure = null
+
+    this.emitProgress()
+
+    const runner = async () => {
+      while (next < items.length && !failure) {
+        const index = next++
+        const item = items[index]
+        let itemReceived = 0
+
+        try {
+          results[index] = await worker(item, (length) => {
+            itemReceived += length
+            this.bytes += length
+            this.received += length
+            this.emitStatus(false)
+          })
+        } catch (error) {
+          failure = failure || error
+          return
+        }
+
+        // Files that were already intact count as done without being received
+        this.bytes += Math.max(0, (item.size || 0) - itemReceived)
+        this.task++
+        this.emitProgress()
+      }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, runner))
+    if (failure) throw failure
+
+    return results
+  }
+
+  /**
+   * Emit file-level progress along with the byte-level status
+   */
+  emitProgress() {
+    this.client.emit('progress', {
+      type: this.type,
+      task: this.task,
+      total: this.total
+    })
+    this.emitStatus(true)
+  }
+
+  /**
+   * Emit the byte-level status, throttled unless forced
+   * @param {boolean} force - Whether to skip throttling
+   */
+  emitStatus(force) {
+    const now = Date.now()
+    if (!force && now - this.lastStatus < this.interval) return
+    this.lastStatus = now
+
+    const elapsed = (now - this.start) / 1000
+    const speed = elapsed > 0 ? Math.round(this.received / elapsed) : 0
+    const remaining = Math.max(0, this.totalBytes - this.bytes)
+
+    this.client.emit('download-status', {
+      type: this.type,
+      task: this.task,
+      total: this.total,
+      current: this.bytes,
+      totalBytes: this.totalBytes,
+      speed,
+      eta: speed > 0 ? Math.round(remaining / speed) : null
+    })
+  }
+}
+
+DownloadQueue.CONCURRENCY = CONCURRENCY
+
+module.exports = DownloadQueue
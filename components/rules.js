@@ -0,0 +1,99 @@
+const os = require('os')
+
+/**
+ * Get current architecture as named in version JSONs
+ * @returns {string} Architecture name
+ */
+function getArch() {
+  switch (process.arch) {
+    case 'ia32': return 'x86'
+    case 'x64': return 'x86_64'
+    case 'arm': return 'arm32'
+    default: return process.arch
+  }
+}
+
+/**
+ * Derive the rule features from launch options
+ * @param {Object} options - Launch options
+ * @returns {Object} Feature flags
+ */
+function getFeatures(options) {
+  const authorization = options.authorization || {}
+  const window = options.window || {}
+  const quickPlay = options.quickPlay || {}
+
+  return {
+    is_demo_user: !!(authorization.meta && authorization.meta.demo),
+    has_custom_resolution: !!((window.width || window.height) && !window.fullscreen),
+    has_quick_plays_support: !!quickPlay.path,
+    is_quick_play_singleplayer: quickPlay.type === 'singleplayer',
+    is_quick_play_multiplayer: quickPlay.type === 'multiplayer',
+    is_quick_play_realms: quickPlay.type === 'realms',
+    ...options.features
+  }
+}
+
+/**
+ * Build the environment rules are evaluated against
+ * @param {Object} options - Launch options
+ * @param {string} osName - Operating system name ('windows', 'osx' or 'linux')
+ * @returns {Object} Rule environment
+ */
+function getEnvironment(options, osName) {
+  return {
+    name: osName,
+    arch: getArch(),
+    version: os.release(),
+    features: getFeatures(options)
+  }
+}
+
+/**
+ * Check whether a single rule applies to the environment
+ * @param {Object} rule - Rule from a version JSON
+ * @param {Object} environment - Rule environment
+ * @returns {boolean} Whether every condition of the rule matches
+ */
+function matchRule(rule, environment) {
+  if (rule.os) {
+    if (rule.os.name && rule.os.name !== environment.name) return false
+    if (rule.os.arch && rule.os.arch !== environment.arch) return false
+    if (rule.os.version && !new RegExp(rule.os.version).test(environment.version)) return false
+  }
+
+  if (rule.features) {
+    for (const feature of Object.keys(rule.features)) {
+      if (!!environment.features[feature] !== rule.features[feature]) return false
+    }
+  }
+
+  return true
+}
+
+/**
+ * Evaluate rules of a library or argument, the last matching rule wins
+ * @param {Array<Object>} rules - Rules to evaluate
+ * @param {Object} environment - Rule environment
+ * @returns {boolean} Whether the entry is allowed
+ */
+function checkRules(rules, environment) {
+  if (!rules || !rules.length) return true
+
+  let allowed = false
+  for (const rule of rules) {
+    if (matchRule(rule, environment)) {
+      allowed = rule.action === 'allow'
+    }
+  }
+
+  return allowed
+}
+
+module.exports = {
+  checkRules,
+  matchRule,
+  getEnvironment,
+  getFeatures,
+  getArch
+}
@@ -0,0 +1,121 @@
+const fs = require('fs')
+const path = require('path')
+
+const RUNTIME_MANIFEST = 'https://launchermeta.mojang.com/v1/products/java-runtime/2ec0cc96c44e5a76b9c8b7c39df7210883d12871/all.json'
+
+class RuntimeHandler {
+  constructor(client) {
+    this.client = client
+    this.options = client.options
+    this.handler = client.handler
+  }
+
+  /**
+   * Install the Java runtime the version JSON asks for into <root>/runtime/<component>
+   * @returns {Promise<string|null>} Path to the java executable, null when Mojang has no runtime for this platform
+   */
+  async getJava() {
+    const component = this.getComponent()
+    const directory = path.join(this.options.root, 'runtime', component)
+
+    const manifest = await this.getManifest(component)
+    if (!manifest) {
+      this.client.emit('debug', `[VoidBeam]: No ${component} runtime available for ${this.getPlatform()}`)
+      return null
+    }
+
+    this.client.emit('debug', `[VoidBeam]: Checking ${component} runtime in ${directory}`)
+
+    const entries = Object.keys(manifest.files).map(name => ({ name, ...manifest.files[name] }))
+    for (const entry of entries.filter(entry => entry.type === 'directory')) {
+      fs.mkdirSync(path.join(directory, entry.name), { recursive: true })
+    }
+
+    const files = entries.filter(entry => entry.type === 'file')
+    await this.handler.createQueue('runtime').run(files.map(entry => ({ ...entry, size: entry.downloads.raw.size })), async (entry, onData) => {
+      const file = path.join(directory, entry.name)
+      const raw = entry.downloads.raw
+      await this.handler.downloadVerified(raw.url, path.dirname(file), path.basename(file), raw, 'runtime', onData)
+      if (entry.executable && process.platform !== 'win32') {
+        fs.chmodSync(file, 0o755)
+      }
+    })
+
+    if (process.platform !== 'win32') {
+      for (const entry of entries.filter(entry => entry.type === 'link')) {
+        const link = path.join(directory, entry.name)
+        if (fs.existsSync(link)) continue
+        fs.mkdirSync(path.dirname(link), { recursive: true })
+        fs.symlinkSync(entry.target, link)
+      }
+    }
+
+    const java = this.getExecutable(directory)
+    this.client.emit('debug', `[VoidBeam]: Using managed ${component} runtime at ${java}`)
+    return java
+  }
+
+  /**
+   * Locate a previously installed runtime without downloading anything
+   * @returns {string|null} Path to the java executable, null when it isn't installed
+   */
+  getInstalledJava() {
+    const java = this.getExecutable(path.join(this.options.root, 'runtime', this.getComponent()))
+    return fs.existsSync(java) ? java : null
+  }
+
+  /**
+   * Get the runtime component the version asks for
+   * @returns {string} Runtime component, e.g. 'java-runtime-gamma'
+   */
+  getComponent() {
+    return (this.handler.version.javaVersion && this.handler.version.javaVersion.component) || 'jre-legacy'
+  }
+
+  /**
+   * Get the file manifest of a runtime component, from overrides.runtimeManifest when set
+   * @param {string} component - Runtime component, e.g. 'java-runtime-gamma'
+   * @returns {Promise<Object|null>} File manifest
+   */
+  async getManifest(component) {
+    const local = this.options.overrides.runtimeManifest
+    if (local) {
+      return typeof local === 'string' ? JSON.parse(fs.readFileSync(local)) : local
+    }
+
+    const all = await this.handler.getJson(this.options.overrides.url.runtime || RUNTIME_MANIFEST)
+    const platform = all[this.getPlatform()] || {}
+    const runtime = (platform[component] || [])[0]
+    if (!runtime) return null
+
+    return this.handler.getJson(runtime.manifest.url)
+  }
+
+  /**
+   * Get the platform name used by the runtime manifest
+   * @returns {string} Platform name
+   */
+  getPlatform() {
+    const arch = this.handler.getArch()
+    switch (this.handler.getOS()) {
+      case 'windows': return arch === 'x86' ? 'windows-x86' : arch === 'arm64' ? 'windows-arm64' : 'windows-x64'
+      case 'osx': return arch === 'arm64' ? 'mac-os-arm64' : 'mac-os'
+      default: return arch === 'x86' ? 'linux-i386' : 'linux'
+    }
+  }
+
+  /**
+   * Locate the java executable inside a runtime directory
+   * @param {string} directory - Runtime directory
+   * @returns {string} Path to the java executable
+   */
+  getExecutable(directory) {
+    if (this.handler.getOS() === 'windows') return path.join(directory, 'bin', 'java.exe')
+
+    // macOS runtimes are shipped as a bundle
+    const bundled = path.join(directory, 'jre.bundle', 'Contents', 'Home', 'bin', 'java')
+    return fs.existsSync(bundled) ? bundled : path.join(directory, 'bin', 'java')
+  }
+}
+
+module.exports = RuntimeHandler
@@ -0,0 +1,87 @@
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Persists Microsoft account refresh tokens in a JSON file, keyed by profile uuid,
+ * so later sign-ins can renew the Xbox and Minecraft tokens without a login window.
+ * The file holds credentials and is only readable by its owner.
+ */
+class TokenStore {
+  /**
+   * @param {string} file - Path to the token file, created on the first save
+   */
+  constructor(file) {
+    this.file = path.resolve(file)
+  }
+
+  /**
+   * Get the saved token of an account
+   * @param {string} [account] - Profile uuid or player name, the most recently saved account when omitted
+   * @returns {Object|null} Saved token with uuid, name, refresh_token and updated
+   */
+  get(account) {
+    const tokens = this.list()
+    if (!account) return tokens[0] || null
+    return tokens.find(token => token.uuid === account) ||
+      tokens.find(token => token.name && token.name.toLowerCase() === account.toLowerCase()) ||
+      null
+  }
+
+  /**
+   * List every saved token
+   * @returns {Array<Object>} Saved tokens, most recently saved first
+   */
+  list() {
+    const accounts = this.read()
+    return Object.keys(accounts)
+      .map(uuid => ({ ...accounts[uuid], uuid }))
+      .sort((a, b) => (b.updated || '').localeCompare(a.updated || ''))
+  }
+
+  /**
+   * Save the refresh token of an account, replacing the previous one
+   * @param {string} uuid - Profile uuid
+   * @param {Object} token - Token with refresh_token and optionally name
+   * @returns {Object} Saved token
+   */
+  set(uuid, token) {
+    const accounts = this.read()
+    accounts[uuid] = { name: token.name || null, refresh_token: token.refresh_token, updated: new Date().toISOString() }
+    this.write(accounts)
+    return { ...accounts[uuid], uuid }
+  }
+
+  /**
+   * Forget the token of an account
+   * @param {string} uuid - Profile uuid
+   * @returns {boolean} Whether a token was removed
+   */
+  delete(uuid) {
+    const accounts = this.read()
+    if (!accounts[uuid]) return false
+
+    delete accounts[uuid]
+    this.write(accounts)
+    return true
+  }
+
+  /**
+   * Read the token file
+   * @returns {Object} Tokens by profile uuid
+   */
+  read() {
+    if (!fs.existsSync(this.file)) return {}
+    return JSON.parse(fs.readFileSync(this.file, 'utf-8')).accounts || {}
+  }
+
+  /**
+   * Write the token file, readable by its owner only
+   * @param {Object} accounts - Tokens by profile uuid
+   */
+  write(accounts) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    fs.writeFileSync(this.file, JSON.stringify({ accounts }, null, 2), { mode: 0o600 })
+  }
+}
+
+module.exports = TokenStore
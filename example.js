@@ -96,6 +96,11 @@ launcher.on('data', (data) => {
   console.log(`📄 GAME: ${data.trim()}`);
 });
 
+launcher.on('log', (event) => {
+  console.log(`📄 GAME: [${event.level}] ${event.logger}: ${event.message}`);
+  if (event.throwable) console.log(event.throwable);
+});
+
 launcher.on('close', (code) => {
   if (code === 0) {
     console.log('✅ Minecraft closed successfully');
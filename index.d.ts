@@ -57,9 +57,48 @@ declare module "voidbeam-core" {
      */
     minArgs?: number;
     /**
-     * Max sockets for downloadAsync.
+     * Max sockets per host for downloads and requests, defaults to `download.concurrency`.
      */
     maxSockets?: number;
+    /**
+     * Retry policy for downloads.
+     */
+    download?: {
+      /**
+       * Attempts after the first one.
+       * 
+       * @default 3
+       */
+      retries?: number;
+      /**
+       * Delay before the first retry in milliseconds, doubled for every further retry.
+       * 
+       * @default 1000
+       */
+      backoff?: number;
+      /**
+       * Time limit for a single download attempt in milliseconds, counted from the moment it
+       * gets a socket. No limit when unset.
+       */
+      timeout?: number;
+      /**
+       * Maximum downloads running at once per phase, and the default socket pool size.
+       * 
+       * @default 8
+       */
+      concurrency?: number;
+    };
+    /**
+     * Mirrors tried before the original URL of every request, in order.
+     * Either a preset name ('bmclapi') or a list of prefix mappings and preset names.
+     * 
+     * @example [{ from: 'https://libraries.minecraft.net', to: ['https://mirror.example.com/maven'] }]
+     */
+    mirrors?: string | Array<string | IMirror>;
+    /**
+     * Rewrite callback applied to every URL, its results are tried before mirrors and the original URL.
+     */
+    rewriteUrl?: (url: string) => string | string[] | null | undefined;
     /**
      * URL overrides for different resources.
      */
@@ -72,7 +111,34 @@ declare module "voidbeam-core" {
        * Minecraft resources.
        */
       resource?: string;
+      /**
+       * Mojang Java runtime manifest (all.json).
+       */
+      runtime?: string;
+      /**
+       * authlib-injector artifact metadata (latest.json).
+       */
+      authlibInjector?: string;
     };
+    /**
+     * Local runtime file manifest (path or parsed JSON) used instead of the Mojang runtime manifest.
+     */
+    runtimeManifest?: string | object;
+    /**
+     * How long the cached version manifest is used before asking the server again, in ms (default 10 minutes).
+     */
+    manifestMaxAge?: number;
+  }
+
+  interface IMirror {
+    /**
+     * URL prefix to replace
+     */
+    from: string;
+    /**
+     * Replacement prefix, or several tried in order
+     */
+    to: string | string[];
   }
 
   interface ILauncherOptions {
@@ -81,6 +147,11 @@ declare module "voidbeam-core" {
      * This will usually be your .minecraft folder
      */
     root: string;
+    /**
+     * Name of an instance in `<root>/instances`. Its settings fill in the options that
+     * aren't given, and its directory becomes the game directory and working directory.
+     */
+    instance?: string;
     /**
      * OS override for minecraft natives
      * 
@@ -112,7 +183,10 @@ declare module "voidbeam-core" {
        */
       type?: string;
       /**
-       * If the version is custom
+       * Id of a custom (modded) version located at `versions/<custom>/<custom>.json`.
+       * Its `inheritsFrom` chain is resolved and merged on top of `number`.
+       * 
+       * @example 'fabric-loader-0.15.11-1.20.1'
        */
       custom?: string;
     };
@@ -132,9 +206,21 @@ declare module "voidbeam-core" {
      */
     authorization: IUser;
     /**
-     * Java path
+     * Java path. When omitted, the Java runtime named by the version JSON's
+     * `javaVersion.component` is installed into `<root>/runtime/<component>` and used.
      */
     javaPath?: string;
+    /**
+     * Look for a compatible Java installation when the selected one is older than
+     * the version JSON's `javaVersion.majorVersion`. When false, the launch is refused.
+     * 
+     * @default true
+     */
+    javaAutoSelect?: boolean;
+    /**
+     * Extra Java executables or installation directories searched by the Java discovery
+     */
+    javaSearchPaths?: Array<string>;
     /**
      * Window options
      */
@@ -143,6 +229,66 @@ declare module "voidbeam-core" {
       height?: string | number;
       fullscreen?: boolean;
     };
+    /**
+     * Quick Play target, enables the matching is_quick_play_* rule feature
+     */
+    quickPlay?: {
+      type: "singleplayer" | "multiplayer" | "realms";
+      /**
+       * World name, server address or realm id
+       */
+      identifier: string;
+      /**
+       * Path of the Quick Play log, enables has_quick_plays_support
+       */
+      path?: string;
+    };
+    /**
+     * Extra or overridden rule features (e.g. is_demo_user, has_custom_resolution)
+     */
+    features?: { [feature: string]: boolean };
+    /**
+     * How downloaded and existing files are checked against the version JSON and asset index.
+     * By default files already on disk are checked by size, fresh downloads and `repair()` also
+     * by sha1. 'hash' hashes existing files too before every launch, 'size' never hashes.
+     */
+    verify?: "hash" | "size";
+    /**
+     * Reject `launch()` with the `VoidBeamError` instead of resolving null on failure.
+     * The 'error' and 'close' events are emitted either way.
+     * 
+     * @default false
+     */
+    rejectOnError?: boolean;
+    /**
+     * Cancels the launch or install: running downloads are aborted, their partial
+     * files removed, and the promise rejects with an `AbortError` (code `ABORTED`)
+     */
+    signal?: AbortSignal;
+    /**
+     * Set to false to ignore the version JSON's `logging.client` configuration,
+     * keeping plain text output on 'data'
+     * 
+     * @default true
+     */
+    logging?: boolean;
+    /**
+     * Launch from the files on disk without any network request. The managed Java
+     * runtime isn't installed, and missing files reject with a `MissingFilesError`
+     * (code `FILES_MISSING`) listing them instead of being downloaded.
+     * 
+     * @default false
+     */
+    offline?: boolean;
+    /**
+     * authlib-injector setup for custom Yggdrasil servers, used automatically for accounts with
+     * `meta.server`. `jar` uses a local agent instead of downloading it, `server` sets the API root.
+     * Set to false to launch without the agent.
+     */
+    authlibInjector?: false | {
+      jar?: string;
+      server?: string;
+    };
     /**
      * Request timeout in milliseconds
      */
@@ -193,6 +339,22 @@ declare module "voidbeam-core" {
        * Whether this is a legacy account (for Yggdrasil)
        */
       legacy?: boolean;
+      /**
+       * Base URL of the Yggdrasil endpoints the account signed in with (for Yggdrasil)
+       */
+      apiUrl?: string;
+      /**
+       * API root of a custom Yggdrasil server, null for Mojang's (for Yggdrasil)
+       */
+      server?: string | null;
+      /**
+       * MSA refresh token (for Microsoft accounts)
+       */
+      refresh_token?: string;
+      /**
+       * Expiry of the access token in ms since the epoch (for Microsoft accounts)
+       */
+      exp?: number;
     };
   }
 
@@ -201,6 +363,135 @@ declare module "voidbeam-core" {
      * Whether to use GUI authentication (default: true)
      */
     gui?: boolean;
+    /**
+     * Store to renew a saved sign-in from and save new sign-ins to
+     */
+    tokenStore?: TokenStore;
+    /**
+     * Profile uuid or name of the saved sign-in, the most recent one when omitted
+     */
+    account?: string;
+    /**
+     * Set to false to reject instead of opening a login window when no saved sign-in can be renewed
+     * 
+     * @default true
+     */
+    interactive?: boolean;
+  }
+
+  interface IMigratedFile {
+    world: string;
+    name: string;
+    /**
+     * File under the legacy UUID
+     */
+    from: string;
+    /**
+     * File under the new UUID
+     */
+    to: string;
+    /**
+     * Whether the file was left alone because the new one exists or it is ambiguous
+     */
+    skipped: boolean;
+    /**
+     * Whether several of the given names share the legacy UUID, so the file can't be attributed to one of them
+     */
+    ambiguous: boolean;
+  }
+
+  interface ISavedAccount {
+    /**
+     * `<type>:<uuid>`
+     */
+    id: string;
+    type: 'offline' | 'microsoft' | 'yggdrasil';
+    name: string;
+    uuid: string;
+    /**
+     * ISO dates of when the account was saved and last launched with
+     */
+    added: string;
+    lastUsed: string | null;
+    user: IUser;
+  }
+
+  /**
+   * Saves offline, Microsoft and Yggdrasil accounts in a JSON file encrypted with AES-256-GCM
+   */
+  export class AccountStore {
+    /**
+     * @param file Path to the account file, created on the first save
+     * @param options A 32 byte key, or a passphrase the key is derived from with scrypt
+     */
+    constructor(file: string, options: { key: Buffer } | { passphrase: string });
+    file: string;
+    /**
+     * Save an account, replacing the saved one with the same type and uuid
+     */
+    add(user: IUser): ISavedAccount;
+    /**
+     * Saved accounts, most recently used first
+     */
+    list(): ISavedAccount[];
+    /**
+     * @param id Account id, uuid or player name, the selected account when omitted
+     */
+    get(id?: string): ISavedAccount | null;
+    remove(id: string): boolean;
+    /**
+     * Select the account used when none is named
+     */
+    select(id: string): ISavedAccount;
+    /**
+     * Credentials for a launch, refreshed first when they no longer validate.
+     * Updates the account's `lastUsed`.
+     * @param id Account id, uuid or player name, the selected account when omitted
+     */
+    getAuth(id?: string): Promise<IUser>;
+  }
+
+  interface IRefreshOptions extends IRequestOptions {
+    /**
+     * MSA refresh token, e.g. `meta.refresh_token` of the user
+     */
+    refreshToken?: string;
+    /**
+     * Store to read the refresh token from and save the new one to
+     */
+    tokenStore?: TokenStore;
+    /**
+     * Profile uuid or name in the token store
+     */
+    account?: string;
+  }
+
+  interface ISavedToken {
+    uuid: string;
+    name: string | null;
+    refresh_token: string;
+    /**
+     * ISO date of the last save
+     */
+    updated: string;
+  }
+
+  /**
+   * Persists Microsoft account refresh tokens in a JSON file, keyed by profile uuid
+   */
+  export class TokenStore {
+    constructor(file: string);
+    file: string;
+    /**
+     * @param account Profile uuid or player name, the most recently saved account when omitted
+     */
+    get(account?: string): ISavedToken | null;
+    /**
+     * Saved tokens, most recently saved first
+     */
+    list(): ISavedToken[];
+    set(uuid: string, token: { refresh_token: string; name?: string }): ISavedToken;
+    delete(uuid: string): boolean;
   }
 
   interface IAuthOptions {
@@ -220,7 +511,19 @@ declare module "voidbeam-core" {
      * Microsoft auth options
      */
     gui?: boolean;
+    /**
+     * Base URL of the Yggdrasil endpoints, instead of the authenticator's
+     */
+    apiUrl?: string;
+  }
+
+  interface IRequestOptions {
+    /**
+     * Base URL of the Yggdrasil endpoints, instead of the authenticator's (e.g. `meta.apiUrl` of the user)
+     */
+    apiUrl?: string;
   }
+
   interface IAuthenticator {
     /**
      * Get authentication for any type
@@ -237,28 +540,39 @@ declare module "voidbeam-core" {
     getOfflineAuth(username: string): Promise<IUser>;
     
     /**
-     * Get Microsoft authentication
+     * Get Microsoft authentication. When a saved sign-in can't be renewed and the login
+     * fails too, the `AuthError` carries the renewal failure as `renewError`.
      * @param options Microsoft authentication options
      */
     getMicrosoftAuth(options?: IMicrosoftAuthOptions): Promise<IUser>;
+
+    /**
+     * Renew the Xbox Live and Minecraft tokens of a Microsoft account
+     * @param refreshToken MSA refresh token
+     * @param tokenStore Store to save the new refresh token to
+     */
+    refreshMicrosoftAuth(refreshToken: string, tokenStore?: TokenStore): Promise<IUser>;
     
     /**
      * Get Yggdrasil (Mojang) authentication
      * @param username Email or username
      * @param password Account password
+     * @param options Yggdrasil server of this request
      */
-    getYggdrasilAuth(username: string, password: string): Promise<IUser>;
+    getYggdrasilAuth(username: string, password: string, options?: IRequestOptions): Promise<IUser>;
     
     /**
      * Validate an authentication token
      * @param access_token Access token to validate
      * @param client_token Client token to validate
      * @param type Authentication type
+     * @param options Yggdrasil server of this request
      */
     validate(
       access_token: string,
       client_token: string,
-      type?: string
+      type?: string,
+      options?: IRequestOptions
     ): Promise<boolean>;
     
     /**
@@ -266,11 +580,13 @@ declare module "voidbeam-core" {
      * @param access_token Access token to refresh
      * @param client_token Client token to refresh
      * @param type Authentication type
+     * @param options Refresh token or token store for Microsoft accounts, Yggdrasil server for Yggdrasil ones
      */
     refreshAuth(
       access_token: string,
       client_token: string,
-      type?: string
+      type?: string,
+      options?: IRefreshOptions
     ): Promise<IUser>;
     
     /**
@@ -278,11 +594,13 @@ declare module "voidbeam-core" {
      * @param access_token Access token to invalidate
      * @param client_token Client token to invalidate
      * @param type Authentication type
+     * @param options Yggdrasil server of this request
      */
     invalidate(
       access_token: string,
       client_token: string,
-      type?: string
+      type?: string,
+      options?: IRequestOptions
     ): Promise<boolean>;
     
     /**
@@ -290,8 +608,9 @@ declare module "voidbeam-core" {
      * @param username Username to sign out
      * @param password Password for Yggdrasil
      * @param type Authentication type
+     * @param options Yggdrasil server of this request
      */
-    signOut(username: string, password?: string, type?: string): Promise<boolean>;
+    signOut(username: string, password?: string, type?: string, options?: IRequestOptions): Promise<boolean>;
 
     /**
      * Change the API URL for authentication services
@@ -311,16 +630,85 @@ declare module "voidbeam-core" {
     resetApiUrls(): object;
   }
 
+  interface IAuthenticatorModule extends IAuthenticator {
+    /**
+     * Authenticator bound to one Yggdrasil server, not sharing API URLs with other instances
+     * @param apiUrl Base URL of the Yggdrasil endpoints, Mojang's when omitted
+     */
+    Authenticator: new (apiUrl?: string) => IAuthenticator;
+
+    /**
+     * The instance the module's functions (and `changeApiUrl()`) use
+     */
+    defaultAuthenticator: IAuthenticator;
+
+    /**
+     * Generate the UUID vanilla servers in offline mode assign to a player name
+     * (`UUID.nameUUIDFromBytes("OfflinePlayer:" + name)`)
+     * @param username Player name
+     */
+    generateOfflineUuid(username: string): string;
+
+    /**
+     * Generate the offline UUID earlier versions of the launcher used
+     * @param username Player name
+     */
+    generateLegacyOfflineUuid(username: string): string;
+
+    /**
+     * Rename the player data, advancements and stats saved under legacy offline UUIDs
+     * to the Mojang-compatible UUIDs
+     * @param directory A world, or a game directory whose saves/ worlds are all migrated
+     * @param usernames Offline player names to migrate
+     * @param options `dryRun` only reports what would be renamed
+     */
+    migrateOfflinePlayerData(directory: string, usernames: string[], options?: { dryRun?: boolean }): IMigratedFile[];
+  }
+
   import { EventEmitter } from 'events'
   import { ChildProcess } from 'child_process'
 
   export class Client extends EventEmitter {
+    /**
+     * The game started by the last launch
+     */
+    game?: GameProcess;
+
     /**
      * Launch Minecraft with the given options
      * @param options Launch options
      */
+    launch(options: ILauncherOptions & { rejectOnError: true }): Promise<ChildProcess>;
     launch(options: ILauncherOptions): Promise<ChildProcess | null>;
 
+    /**
+     * Download everything a version needs (Java runtime, jar, libraries, natives, assets)
+     * without launching it. Rejects with a `VoidBeamError`.
+     * @param options Launch options, `authorization` is only needed to install authlib-injector for custom Yggdrasil servers
+     */
+    install(options: Omit<ILauncherOptions, "authorization"> & { authorization?: IUser | Promise<IUser> }): Promise<void>;
+
+    /**
+     * Build the command that launches an installed version, without downloading
+     * or spawning anything. Rejects with a `VoidBeamError`, a `VersionError` when
+     * the version isn't installed.
+     * @param options Launch options
+     */
+    buildArguments(options: ILauncherOptions): Promise<ILaunchCommand>;
+
+    /**
+     * Check the files of an installed version without launching it
+     * @param options Launch options, `fix` downloads missing and corrupt files again
+     */
+    repair(options: ILauncherOptions & { fix?: boolean }): Promise<IRepairReport>;
+
+    /**
+     * List the versions of the (cached) version manifest and the installed versions.
+     * Rejects with a `DownloadError` when the manifest can't be fetched and isn't cached.
+     * @param options Root directory, type filter and manifest options
+     */
+    getVersions(options: IVersionListOptions): Promise<IVersionList>;
+
     /**
      * Events emitted by the launcher
      */
@@ -333,7 +721,543 @@ declare module "voidbeam-core" {
       task: number;
       total: number;
     }) => void): this;
+    on(event: 'corrupt', listener: (file: ICorruptFile) => void): this;
+    on(event: 'download-status', listener: (status: IDownloadStatus) => void): this;
+    /**
+     * Emitted when a launch fails, only if a listener is attached
+     */
+    on(event: 'error', listener: (error: VoidBeamError) => void): this;
+    on(event: 'crash', listener: (crash: ICrash) => void): this;
+    /**
+     * Log events of versions using the log4j2-xml logging configuration
+     */
+    on(event: 'log', listener: (event: ILogEvent) => void): this;
+    on(event: 'exit', listener: (exit: IGameExit) => void): this;
+  }
+
+  interface ILogEvent {
+    level: "TRACE" | "DEBUG" | "INFO" | "WARN" | "ERROR" | "FATAL" | string | null;
+    thread: string | null;
+    logger: string | null;
+    /**
+     * Time in ms since the epoch
+     */
+    timestamp: number | null;
+    message: string;
+    /**
+     * Stack trace of the logged exception
+     */
+    throwable: string | null;
+  }
+
+  /**
+   * Streaming parser for log4j XML event output
+   */
+  export class Log4jParser {
+    /**
+     * @param onEvent Called with every parsed log event
+     * @param onText Called with output that isn't part of an event
+     */
+    constructor(onEvent: (event: ILogEvent) => void, onText?: (text: string) => void);
+    write(chunk: Buffer | string): void;
+    end(): void;
+    static parseEvent(xml: string): ILogEvent;
+  }
+
+  interface ICrashSummary {
+    comment: string | null;
+    time: string | null;
+    description: string | null;
+    /**
+     * First line of the exception, e.g. 'java.lang.NullPointerException: ...'
+     */
+    exception: string | null;
+  }
+
+  interface ICrash {
+    /**
+     * Newest report in `crash-reports/`, null when the crash was only seen in the output
+     */
+    file: string | null;
+    summary: ICrashSummary;
+  }
+
+  interface IGameExit {
+    code: number | null;
+    signal: string | null;
+    /**
+     * 'killed' after kill(), 'crash' when the crash report marker was printed or
+     * a crash report was written before a failed exit, otherwise 'normal' or 'error' by exit code
+     */
+    reason: "normal" | "crash" | "killed" | "error";
+    /**
+     * Time the game ran for in ms
+     */
+    uptime: number;
+    crash?: ICrash;
+  }
+
+  export class GameProcess {
+    constructor(client: EventEmitter, process: ChildProcess, options: { gameDirectory: string; detached?: boolean });
+    process: ChildProcess;
+    pid: number;
+    running: boolean;
+    startedAt: number;
+    /**
+     * Time the game has been running (or ran) for in ms
+     */
+    readonly uptime: number;
+    /**
+     * Exit details, null while running
+     */
+    exit: IGameExit | null;
+    /**
+     * Resolves once the game exited
+     */
+    exited: Promise<IGameExit>;
+    /**
+     * Ask the game to quit, then force it when it's still running after the timeout
+     */
+    kill(options?: { timeout?: number }): Promise<IGameExit>;
+    static parseCrashReport(text: string): ICrashSummary;
+  }
+
+  type ErrorCode =
+    | "JAVA_NOT_FOUND"
+    | "JAVA_INCOMPATIBLE"
+    | "VERSION_NOT_FOUND"
+    | "VERSION_INVALID"
+    | "DOWNLOAD_FAILED"
+    | "FILES_MISSING"
+    | "AUTH_INVALID"
+    | "ABORTED"
+    | "INSTANCE_NOT_FOUND"
+    | "INSTANCE_EXISTS"
+    | "INSTANCE_INVALID"
+    | "LAUNCH_FAILED";
+
+  class VoidBeamError extends Error {
+    code: ErrorCode;
+    cause?: Error;
+  }
+
+  class JavaError extends VoidBeamError {
+    code: "JAVA_NOT_FOUND" | "JAVA_INCOMPATIBLE";
+    /**
+     * Java executable that was checked
+     */
+    path?: string;
+    /**
+     * Required major version (JAVA_INCOMPATIBLE)
+     */
+    required?: number;
+    /**
+     * Major version that was found (JAVA_INCOMPATIBLE)
+     */
+    found?: number;
+  }
+
+  class VersionError extends VoidBeamError {
+    code: "VERSION_NOT_FOUND" | "VERSION_INVALID";
+    version?: string;
+  }
+
+  class DownloadError extends VoidBeamError {
+    code: "DOWNLOAD_FAILED";
+    url?: string;
+    file?: string;
+    status?: number;
+    attempts?: number;
+  }
+
+  class MissingFilesError extends VoidBeamError {
+    code: "FILES_MISSING";
+    /**
+     * Files of the version that aren't on disk
+     */
+    missing: IRepairEntry[];
+  }
+
+  class AuthError extends VoidBeamError {
+    code: "AUTH_INVALID";
+  }
+
+  class AbortError extends VoidBeamError {
+    code: "ABORTED";
+  }
+
+  class InstanceError extends VoidBeamError {
+    code: "INSTANCE_NOT_FOUND" | "INSTANCE_EXISTS" | "INSTANCE_INVALID";
+    instance?: string;
+  }
+
+  export const Errors: {
+    CODES: { [code in ErrorCode]: code };
+    VoidBeamError: typeof VoidBeamError;
+    JavaError: typeof JavaError;
+    VersionError: typeof VersionError;
+    DownloadError: typeof DownloadError;
+    MissingFilesError: typeof MissingFilesError;
+    AuthError: typeof AuthError;
+    AbortError: typeof AbortError;
+    InstanceError: typeof InstanceError;
+  };
+
+  interface ILaunchCommand {
+    /**
+     * Java executable
+     */
+    java: string;
+    /**
+     * JVM arguments, main class and game arguments
+     */
+    args: string[];
+    /**
+     * Working directory the game expects
+     */
+    cwd: string;
+  }
+
+  type VersionType = "release" | "snapshot" | "old_beta" | "old_alpha";
+
+  interface IVersionListOptions {
+    /**
+     * Launcher root, holding versions/ and the manifest cache
+     */
+    root: string;
+    /**
+     * Version types to keep, all when omitted
+     */
+    type?: VersionType | VersionType[];
+    /**
+     * Ask the server even when the cached manifest is recent
+     */
+    refresh?: boolean;
+    /**
+     * Use the cached manifest whatever its age, never asking the server
+     */
+    offline?: boolean;
+    cache?: string;
+    overrides?: IOverrides;
+  }
+
+  interface IManifestVersion {
+    id: string;
+    type: VersionType;
+    url: string;
+    time: string;
+    releaseTime: string;
+    /**
+     * Whether versions/<id> holds its version JSON
+     */
+    installed: boolean;
+  }
+
+  interface IInstalledVersion {
+    id: string;
+    /**
+     * Version type, or the type of a custom version's JSON (may be missing)
+     */
+    type?: string;
+    releaseTime?: string;
+    /**
+     * Parent version of custom (modded) versions
+     */
+    inheritsFrom?: string;
+  }
+
+  interface IVersionList {
+    /**
+     * Latest release and snapshot, null when the manifest couldn't be fetched or read from the cache
+     */
+    latest: {
+      release: string;
+      snapshot: string;
+    } | null;
+    /**
+     * Manifest versions, newest first. Empty without a manifest
+     */
+    versions: IManifestVersion[];
+    installed: IInstalledVersion[];
+  }
+
+  interface IDownloadStatus {
+    /**
+     * Download phase (client, classes, natives, assets...)
+     */
+    type: string;
+    /**
+     * Files finished in this phase
+     */
+    task: number;
+    /**
+     * Files in this phase
+     */
+    total: number;
+    /**
+     * Bytes finished in this phase, including files that were already intact
+     */
+    current: number;
+    /**
+     * Bytes in this phase, as far as the version JSON or asset index lists sizes
+     */
+    totalBytes: number;
+    /**
+     * Average download speed in bytes per second
+     */
+    speed: number;
+    /**
+     * Estimated seconds remaining, null until there is a speed
+     */
+    eta: number | null;
+  }
+
+  interface IRepairEntry {
+    /**
+     * File type (version, client, classes, natives, asset-index, assets, log-config, log4j, authlib-injector)
+     */
+    type: string;
+    file: string;
+    url?: string;
+    sha1?: string;
+    size?: number;
+  }
+
+  interface IRepairReport {
+    /**
+     * Checked version id
+     */
+    version: string;
+    /**
+     * Number of files checked
+     */
+    checked: number;
+    missing: IRepairEntry[];
+    corrupt: IRepairEntry[];
+    /**
+     * Whether missing and corrupt files were downloaded again and passed a second check.
+     * `missing` and `corrupt` list what was found before fixing.
+     */
+    fixed: boolean;
+  }
+
+  interface ICorruptFile {
+    /**
+     * Path of the file that failed verification
+     */
+    file: string;
+    /**
+     * Download type (client, assets, natives, classes...)
+     */
+    type: string;
+    url: string;
+    sha1?: string;
+    size?: number;
+  }
+
+  interface IInstallerOptions {
+    /**
+     * Path where you want the launcher to work in.
+     */
+    root: string;
+    /**
+     * Minecraft version the loader is installed for
+     * 
+     * @example '1.20.1'
+     */
+    version?: string | { number: string };
+    /**
+     * Loader version, or an object with it. Latest stable when omitted.
+     * 
+     * @example '0.15.11'
+     */
+    loader?: string | { version?: string };
+    /**
+     * Path to a Forge or NeoForge installer jar (installForge only)
+     */
+    installer?: string;
+    /**
+     * Java used to run Forge installer processors
+     */
+    javaPath?: string;
+    /**
+     * Request timeout in milliseconds
+     */
+    timeout?: number;
+    /**
+     * Override options
+     */
+    overrides?: {
+      /**
+       * Library root directory.
+       */
+      libraryRoot?: string;
+      /**
+       * Max sockets for downloadAsync.
+       */
+      maxSockets?: number;
+      /**
+       * Loader meta server URLs.
+       */
+      url?: {
+        /**
+         * List of versions, used to fetch the client jar Forge processors patch.
+         */
+        meta?: string;
+        /**
+         * Fabric meta API root.
+         * 
+         * @default 'https://meta.fabricmc.net/v2'
+         */
+        fabric?: string;
+        /**
+         * Quilt meta API root.
+         * 
+         * @default 'https://meta.quiltmc.org/v3'
+         */
+        quilt?: string;
+      };
+    };
+  }
+
+  interface IJavaInstallation {
+    /**
+     * Path to the java executable
+     */
+    path: string;
+    /**
+     * Full version string
+     * 
+     * @example '17.0.8'
+     */
+    version: string;
+    major: number;
+    vendor: string;
+    bits: 32 | 64;
+    /**
+     * Where the installation was found
+     */
+    source: "user" | "JAVA_HOME" | "PATH" | "runtime" | "system";
+    /**
+     * Whether it meets the requested major version
+     */
+    compatible: boolean;
+  }
+
+  interface IJavaSearchOptions {
+    /**
+     * Extra Java executables or installation directories
+     */
+    paths?: Array<string>;
+    /**
+     * Launcher root, its managed runtimes are included
+     */
+    root?: string;
+    /**
+     * Minimum major version, compatible installations are ranked first
+     */
+    majorVersion?: number;
+  }
+
+  export const Java: {
+    /**
+     * Discover Java installations from the given paths, JAVA_HOME, PATH and the
+     * usual JVM directories, ranked by compatibility, closest major version and bitness
+     */
+    findJava(options?: IJavaSearchOptions): Promise<IJavaInstallation[]>;
+    /**
+     * Run a Java executable and read its version, vendor and bitness
+     */
+    inspectJava(java: string): Promise<Omit<IJavaInstallation, "source" | "compatible">>;
+  };
+
+  interface IInstanceSettings {
+    version: string | { number: string; type?: string; custom?: string };
+    /**
+     * Mod loader installed on the first launch, `installer` is the installer jar for Forge and NeoForge
+     */
+    loader?: string | { type: "fabric" | "quilt" | "forge" | "neoforge"; version?: string; installer?: string } | null;
+    memory?: { max: string | number; min: string | number };
+    javaPath?: string;
+    customArgs?: Array<string>;
+    customLaunchArgs?: Array<string>;
+    window?: { width?: string | number; height?: string | number; fullscreen?: boolean };
+  }
+
+  interface IInstance extends IInstanceSettings {
+    name: string;
+    version: { number: string; type?: string; custom?: string };
+    loader: { type: "fabric" | "quilt" | "forge" | "neoforge"; version?: string; installer?: string } | null;
+    /**
+     * ISO date
+     */
+    created: string;
+    /**
+     * ISO date of the last launch
+     */
+    lastPlayed: string | null;
+  }
+
+  /**
+   * Named instances under `<root>/instances/<name>`, sharing libraries, assets and versions with the root
+   */
+  export class InstanceManager {
+    constructor(root: string);
+    create(name: string, settings: IInstanceSettings): IInstance;
+    get(name: string): IInstance;
+    /**
+     * Instances, most recently played first
+     */
+    list(): IInstance[];
+    update(name: string, changes: Partial<IInstanceSettings>): IInstance;
+    clone(name: string, newName: string): IInstance;
+    rename(name: string, newName: string): IInstance;
+    delete(name: string): void;
+    getDirectory(name: string): string;
+  }
+
+  interface ILoaderVersion {
+    version: string;
+    stable: boolean;
+  }
+
+  export class Installer extends EventEmitter {
+    /**
+     * Install the Fabric loader, returns the id to use as `version.custom`
+     * @param options Installer options
+     */
+    installFabric(options: IInstallerOptions): Promise<string>;
+    /**
+     * Install the Quilt loader, returns the id to use as `version.custom`
+     * @param options Installer options
+     */
+    installQuilt(options: IInstallerOptions): Promise<string>;
+    /**
+     * Install a Forge or NeoForge installer jar and run its processors,
+     * returns the id to use as `version.custom`
+     * @param options Installer options with `installer` set
+     */
+    installForge(options: IInstallerOptions & { installer: string }): Promise<string>;
+    /**
+     * Install a Fabric-style loader, returns the id to use as `version.custom`
+     * @param loader Loader type
+     * @param options Installer options
+     */
+    installLoader(loader: 'fabric' | 'quilt', options: IInstallerOptions): Promise<string>;
+    /**
+     * List loader versions available for a Minecraft version, newest first
+     * @param loader Loader type
+     * @param options Installer options
+     */
+    getLoaderVersions(loader: 'fabric' | 'quilt', options?: IInstallerOptions): Promise<ILoaderVersion[]>;
+
+    on(event: 'debug', listener: (message: string) => void): this;
+    on(event: 'progress', listener: (progress: {
+      type: string;
+      task: number;
+      total: number;
+    }) => void): this;
   }
 
-  export const Authenticator: IAuthenticator;
+  export const Authenticator: IAuthenticatorModule;
 }
@@ -1,4 +1,12 @@
 module.exports = {
   Client: require('./components/launcher'),
-  Authenticator: require('./components/authenticator')
+  Authenticator: require('./components/authenticator'),
+  Installer: require('./components/installer'),
+  Java: require('./components/java'),
+  Errors: require('./components/errors'),
+  GameProcess: require('./components/game'),
+  Log4jParser: require('./components/logs'),
+  InstanceManager: require('./components/instances'),
+  TokenStore: require('./components/tokens'),
+  AccountStore: require('./components/accounts')
 }
@@ -0,0 +1,146 @@
+/**
+ * Offline launches: installs a fixture version from a local server, then launches it
+ * with offline: true while every socket connection fails.
+ * Run with `npm test`, needs a POSIX shell for the stand-in Java executable.
+ */
+const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs')
+const http = require('http')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+const { Client } = require('..')
+
+// A release and a snapshot, whose id doesn't carry a minor version
+const VERSIONS = ['1.20.1', '23w13a']
+const sha1 = data => crypto.createHash('sha1').update(data).digest('hex')
+
+/**
+ * Serve a minimal version: manifest, version JSON, client jar, one library, one asset
+ * @param {string} id - Version id
+ * @returns {Promise<Object>} Server and its URL
+ */
+function createServer(id) {
+  const files = {}
+  const server = http.createServer((req, res) => {
+    if (files[req.url] === undefined) {
+      res.statusCode = 404
+      return res.end()
+    }
+    res.end(files[req.url])
+  })
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${server.address().port}`
+    const asset = 'ASSET'
+    const hash = sha1(asset)
+    const index = JSON.stringify({ objects: { 'minecraft/lang/en_us.json': { hash, size: asset.length } } })
+    const version = {
+      id,
+      type: 'release',
+      mainClass: 'net.minecraft.client.main.Main',
+      assets: '5',
+      assetIndex: { id: '5', url: `${url}/index.json`, sha1: sha1(index), size: index.length },
+      downloads: { client: { url: `${url}/client.jar`, sha1: sha1('CLIENT'), size: 6 } },
+      arguments: {
+        game: ['--username', '${auth_player_name}', '--version', '${version_name}'],
+        jvm: ['-cp', '${classpath}']
+      },
+      libraries: [{
+        name: 'com.example:library:1.0',
+        downloads: { artifact: { path: 'com/example/library/1.0/library-1.0.jar', url: `${url}/library.jar`, sha1: sha1('LIBRARY'), size: 7 } }
+      }]
+    }
+
+    files['/mc/game/version_manifest.json'] = JSON.stringify({
+      latest: { release: id, snapshot: id },
+      versions: [{ id, type: 'release', url: `${url}/version.json` }]
+    })
+    files['/version.json'] = JSON.stringify(version)
+    files['/client.jar'] = 'CLIENT'
+    files['/library.jar'] = 'LIBRARY'
+    files['/index.json'] = index
+    files[`/resources/${hash.substring(0, 2)}/${hash}`] = asset
+
+    resolve({ server, url })
+  }))
+}
+
+/**
+ * Write a script that answers the Java version check like Java 21 and exits
+ * @param {string} directory - Directory to write it to
+ * @returns {string} Path to the script
+ */
+function createJava(directory) {
+  const java = path.join(directory, 'java')
+  fs.writeFileSync(java, '#!/bin/sh\necho \'openjdk version "21.0.2" 2024-01-16\' >&2\n', { mode: 0o755 })
+  return java
+}
+
+/**
+ * Install a version, then launch it offline with and without missing files
+ * @param {string} id - Version id
+ */
+async function run(id) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'voidbeam-offline-'))
+  const { server, url } = await createServer(id)
+  const options = {
+    root,
+    version: { number: id, type: 'release' },
+    javaPath: createJava(root),
+    authorization: { name: 'Player', uuid: '00000000-0000-0000-0000-000000000000', access_token: 'token' },
+    rejectOnError: true,
+    overrides: { url: { meta: url, resource: `${url}/resources` } }
+  }
+
+  try {
+    const launcher = new Client()
+    await launcher.install(options)
+    await new Promise(resolve => server.close(resolve))
+
+    // Every connection attempt from here on is counted and fails
+    let connections = 0
+    const connect = net.Socket.prototype.connect
+    net.Socket.prototype.connect = function () {
+      connections++
+      throw new Error('Networking is disabled')
+    }
+
+    try {
+      const minecraft = await launcher.launch({ ...options, offline: true })
+      assert.ok(minecraft, 'an installed version launches offline')
+      await launcher.game.exited
+
+      const removed = [
+        path.join(root, 'libraries', 'com', 'example', 'library', '1.0', 'library-1.0.jar'),
+        path.join(root, 'assets', 'indexes', '5.json')
+      ]
+      removed.forEach(file => fs.unlinkSync(file))
+
+      await assert.rejects(launcher.launch({ ...options, offline: true }), error => {
+        assert.strictEqual(error.code, 'FILES_MISSING')
+        assert.deepStrictEqual(error.missing.map(entry => entry.file).sort(), removed.sort())
+        return true
+      })
+
+      await assert.rejects(launcher.launch({ ...options, offline: true, version: { number: '1.19.4' } }), error => {
+        assert.strictEqual(error.code, 'FILES_MISSING')
+        assert.deepStrictEqual(error.missing.map(entry => entry.type), ['version'])
+        return true
+      })
+    } finally {
+      net.Socket.prototype.connect = connect
+    }
+
+    assert.strictEqual(connections, 0, 'no socket is opened offline')
+    console.log(`offline launches of ${id}: ok`)
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true })
+  }
+}
+
+VERSIONS.reduce((previous, id) => previous.then(() => run(id)), Promise.resolve()).catch(error => {
+  console.error(error)
+  process.exit(1)
+})
@@ -0,0 +1,120 @@
+/**
+ * Rule evaluation of version JSON libraries and arguments, run with `npm test`
+ */
+const assert = require('assert')
+const rules = require('../components/rules')
+
+const environment = (overrides = {}) => ({
+  name: 'linux',
+  arch: 'x86_64',
+  version: '10.0.19045',
+  features: {},
+  ...overrides
+})
+
+const tests = {
+  'entries without rules are allowed'() {
+    assert.strictEqual(rules.checkRules(undefined, environment()), true)
+    assert.strictEqual(rules.checkRules([], environment()), true)
+  },
+
+  'entries are disallowed when no rule matches'() {
+    assert.strictEqual(rules.checkRules([{ action: 'allow', os: { name: 'osx' } }], environment()), false)
+  },
+
+  'os.name matches the operating system'() {
+    const osxOnly = [{ action: 'allow', os: { name: 'osx' } }]
+    assert.strictEqual(rules.checkRules(osxOnly, environment({ name: 'osx' })), true)
+    assert.strictEqual(rules.checkRules(osxOnly, environment({ name: 'windows' })), false)
+  },
+
+  'os.arch matches the architecture'() {
+    const x86Only = [{ action: 'allow', os: { arch: 'x86' } }]
+    assert.strictEqual(rules.checkRules(x86Only, environment({ arch: 'x86' })), true)
+    assert.strictEqual(rules.checkRules(x86Only, environment({ arch: 'x86_64' })), false)
+  },
+
+  'os.version is a regular expression over the os release'() {
+    const windows10 = [{ action: 'allow', os: { name: 'windows', version: '^10\\.' } }]
+    assert.strictEqual(rules.checkRules(windows10, environment({ name: 'windows', version: '10.0.19045' })), true)
+    assert.strictEqual(rules.checkRules(windows10, environment({ name: 'windows', version: '6.1.7601' })), false)
+  },
+
+  'every condition of a rule has to match'() {
+    const rule = { os: { name: 'windows', arch: 'x86' } }
+    assert.strictEqual(rules.matchRule(rule, environment({ name: 'windows', arch: 'x86' })), true)
+    assert.strictEqual(rules.matchRule(rule, environment({ name: 'windows', arch: 'x86_64' })), false)
+  },
+
+  'the last matching rule wins'() {
+    const exceptOsx = [{ action: 'allow' }, { action: 'disallow', os: { name: 'osx' } }]
+    assert.strictEqual(rules.checkRules(exceptOsx, environment({ name: 'osx' })), false)
+    assert.strictEqual(rules.checkRules(exceptOsx, environment({ name: 'linux' })), true)
+
+    const reallowed = exceptOsx.concat({ action: 'allow', os: { name: 'osx' } })
+    assert.strictEqual(rules.checkRules(reallowed, environment({ name: 'osx' })), true)
+  },
+
+  'features match their flag, missing features count as false'() {
+    const demo = [{ action: 'allow', features: { is_demo_user: true } }]
+    assert.strictEqual(rules.checkRules(demo, environment({ features: { is_demo_user: true } })), true)
+    assert.strictEqual(rules.checkRules(demo, environment()), false)
+
+    const notDemo = [{ action: 'allow', features: { is_demo_user: false } }]
+    assert.strictEqual(rules.checkRules(notDemo, environment()), true)
+  },
+
+  'features are derived from the launch options'() {
+    assert.deepStrictEqual(rules.getFeatures({}), {
+      is_demo_user: false,
+      has_custom_resolution: false,
+      has_quick_plays_support: false,
+      is_quick_play_singleplayer: false,
+      is_quick_play_multiplayer: false,
+      is_quick_play_realms: false
+    })
+
+    const features = rules.getFeatures({
+      authorization: { meta: { demo: true } },
+      window: { width: 1280, height: 720 },
+      quickPlay: { type: 'multiplayer', identifier: 'localhost', path: 'quickplay.json' }
+    })
+    assert.strictEqual(features.is_demo_user, true)
+    assert.strictEqual(features.has_custom_resolution, true)
+    assert.strictEqual(features.has_quick_plays_support, true)
+    assert.strictEqual(features.is_quick_play_multiplayer, true)
+    assert.strictEqual(features.is_quick_play_singleplayer, false)
+  },
+
+  'fullscreen windows have no custom resolution'() {
+    assert.strictEqual(rules.getFeatures({ window: { width: 1280, fullscreen: true } }).has_custom_resolution, false)
+  },
+
+  'options.features add and override derived features'() {
+    const features = rules.getFeatures({ window: { width: 1280 }, features: { has_custom_resolution: false, custom_flag: true } })
+    assert.strictEqual(features.has_custom_resolution, false)
+    assert.strictEqual(features.custom_flag, true)
+  },
+
+  'the environment carries the os name, arch, release and features'() {
+    const env = rules.getEnvironment({ features: { custom_flag: true } }, 'windows')
+    assert.strictEqual(env.name, 'windows')
+    assert.strictEqual(env.arch, rules.getArch())
+    assert.strictEqual(env.version, require('os').release())
+    assert.strictEqual(env.features.custom_flag, true)
+  }
+}
+
+let failed = 0
+for (const name of Object.keys(tests)) {
+  try {
+    tests[name]()
+  } catch (error) {
+    failed++
+    console.error(`rules: ${name} failed`)
+    console.error(error)
+  }
+}
+
+if (failed) process.exit(1)
+console.log(`rules: ${Object.keys(tests).length} ok`)